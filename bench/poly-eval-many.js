@@ -0,0 +1,67 @@
+/**
+ * PolyEvalMany benchmark: times per-point PolyEval, the integer Horner pass and
+ * the remainder tree on a random polynomial of degree n at n points, integer
+ * and rational, then the tree/Horner time ratio over a grid of degrees and
+ * point counts. The "auto" choice in src/polynomial.js (EVAL_METHODS) is read
+ * off these tables: the tree would be selected above the degree × point-count
+ * cells where its ratio drops below 1.
+ *
+ * Run with: bun bench/poly-eval-many.js [n ...]
+ */
+
+import { Rational } from "@ratmath/core";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+const { Poly, PolyEval, PolyEvalMany } = PolynomialFunctions;
+const METHODS = ["horner", "tree"];
+const SIZES = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [16, 32, 64, 128, 256, 512, 1024];
+
+// Deterministic pseudo-random values in [-range, range] with denominators up to maxDen
+function randomValues(n, seed, range, maxDen) {
+    let state = seed;
+    const next = () => (state = (state * 1103515245 + 12345) % 2147483648);
+    return Array.from({ length: n }, () =>
+        new Rational(BigInt(next() % (2 * range + 1) - range), BigInt(1 + next() % maxDen)));
+}
+
+// Mean milliseconds per call, after one warm-up call, over at least 50 ms
+function time(f) {
+    f();
+    let reps = 0;
+    const start = performance.now();
+    do {
+        f();
+        reps++;
+    } while (performance.now() - start < 50);
+    return (performance.now() - start) / reps;
+}
+
+for (const [kind, maxDen] of [["integer", 1], ["rational", 10]]) {
+    console.log(`PolyEvalMany timings (ms), degree n at n ${kind} points:`);
+    console.log(["n", "PolyEval", ...METHODS, "fastest"].join("\t"));
+    for (const n of SIZES) {
+        const P = Poly.handler({ type: 'sequence', values: randomValues(n + 1, n, 100, 1) });
+        const xs = { type: 'sequence', values: randomValues(n, 2 * n, 100, maxDen) };
+        // Per-point evaluation is quadratic in gcds; skip it where it would dominate the run
+        const perPoint = n <= 256 ? time(() => xs.values.map(x => PolyEval.handler(P, x))).toFixed(3) : "-";
+        const row = METHODS.map(method => time(() => PolyEvalMany.handler(P, xs, { type: 'string', value: method })));
+        const fastest = METHODS[row.indexOf(Math.min(...row))];
+        console.log([n, perPoint, ...row.map(t => t.toFixed(3)), fastest].join("\t"));
+    }
+}
+
+// Unbalanced shapes: the tree runs on chunks of deg P + 1 points, so many points
+// at a low degree and few points at a high degree are both covered
+const DEGREES = [16, 64, 256, 1024];
+const POINT_COUNTS = [64, 256, 1024, 4096];
+console.log("PolyEvalMany tree/horner time ratio, integer points (rows: degree, columns: points):");
+console.log(["degree", ...POINT_COUNTS].join("\t"));
+for (const degree of DEGREES) {
+    const P = Poly.handler({ type: 'sequence', values: randomValues(degree + 1, degree, 100, 1) });
+    const ratios = POINT_COUNTS.map(count => {
+        const xs = { type: 'sequence', values: randomValues(count, count + degree, 100, 1) };
+        const [horner, tree] = METHODS.map(method => time(() => PolyEvalMany.handler(P, xs, { type: 'string', value: method })));
+        return (tree / horner).toFixed(2);
+    });
+    console.log([degree, ...ratios].join("\t"));
+}
@@ -0,0 +1,49 @@
+/**
+ * PolyMul benchmark: times each multiplication method on random rational
+ * polynomials of equal length n. The "auto" thresholds in src/polynomial.js
+ * (FAST_MUL_THRESHOLD, KRONECKER_THRESHOLD) are read off this table.
+ *
+ * Run with: bun bench/poly-mul.js
+ */
+
+import { Rational } from "@ratmath/core";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+const { Poly, PolyMul } = PolynomialFunctions;
+const METHODS = ["schoolbook", "karatsuba", "kronecker"];
+const SIZES = [2, 4, 6, 8, 12, 16, 24, 32, 48, 64, 128, 256];
+
+// Deterministic pseudo-random rational coefficients with zeros and signs
+function randomPoly(n, seed) {
+    let state = seed;
+    const next = () => (state = (state * 1103515245 + 12345) % 2147483648);
+    return Poly.handler({
+        type: 'sequence',
+        values: Array.from({ length: n }, () => {
+            const num = BigInt(next() % 41) - 20n;
+            return new Rational(num, BigInt(1 + next() % 6));
+        })
+    });
+}
+
+// Mean milliseconds per call, after one warm-up call, over at least 50 ms
+function time(f) {
+    f();
+    let reps = 0;
+    const start = performance.now();
+    do {
+        f();
+        reps++;
+    } while (performance.now() - start < 50);
+    return (performance.now() - start) / reps;
+}
+
+console.log("PolyMul timings (ms) by length n:");
+console.log(["n", ...METHODS, "fastest"].join("\t"));
+for (const n of SIZES) {
+    const p = randomPoly(n, n);
+    const q = randomPoly(n, 3 * n);
+    const row = METHODS.map(method => time(() => PolyMul.handler(p, q, { type: 'string', value: method })));
+    const fastest = METHODS[row.indexOf(Math.min(...row))];
+    console.log([n, ...row.map(t => t.toFixed(3)), fastest].join("\t"));
+}
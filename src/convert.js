@@ -0,0 +1,32 @@
+/**
+ * Value Conversions
+ * 
+ * Argument conversions shared by the polynomial modules.
+ * Internal: neither src/index.js nor the package exports re-export this file.
+ */
+
+import { Integer, Rational } from "@ratmath/core";
+
+/**
+ * Convert value to Rational
+ */
+export function toRational(val) {
+    if (val instanceof Rational) return val;
+    if (val instanceof Integer) return new Rational(val.value, 1n);
+    if (typeof val === 'bigint') return new Rational(val, 1n);
+    if (typeof val === 'number') return new Rational(BigInt(Math.floor(val)), 1n);
+    throw new Error(`Cannot convert ${typeof val} to Rational`);
+}
+
+/**
+ * Convert value to a non-negative JS integer (exponent, order or index),
+ * rejecting fractions such as 5/2 rather than truncating them
+ */
+export function toExponent(val, message = "Exponents must be non-negative integers") {
+    const integral = !(val instanceof Rational) || val.denominator === 1n;
+    const n = Number(val instanceof Integer ? val.value : val instanceof Rational ? val.numerator : val);
+    if (!integral || !Number.isSafeInteger(n) || n < 0) {
+        throw new Error(message);
+    }
+    return n;
+}
@@ -0,0 +1,318 @@
+/**
+ * GF(p) Polynomial Helpers
+ *
+ * Arithmetic, GCDs and factorization for polynomials over Z/mZ, stored ascending
+ * as BigInts in [0, m); the zero polynomial is []. Shared by the GF(p) functions
+ * and by factoring over Q, which also uses them modulo prime powers (division
+ * then needs a divisor with invertible leading coefficient).
+ * Internal: neither src/index.js nor the package exports re-export this file.
+ */
+
+import { extGcdBigInt } from "./bigint-utils.js";
+
+/**
+ * Reduce a BigInt into [0, p)
+ */
+export function modP(a, p) {
+    const r = a % p;
+    return r < 0n ? r + p : r;
+}
+
+/**
+ * Inverse of a modulo p
+ */
+export function invP(a, p) {
+    const [g, x] = extGcdBigInt(modP(a, p), p);
+    if (g !== 1n) {
+        throw new Error(`${a} is not invertible modulo ${p}`);
+    }
+    return modP(x, p);
+}
+
+/**
+ * Remove trailing zero coefficients
+ */
+export function trimP(coeffs) {
+    let end = coeffs.length;
+    while (end > 0 && coeffs[end - 1] === 0n) end--;
+    return coeffs.slice(0, end);
+}
+
+export function addP(a, b, p) {
+    const result = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        result.push(modP((a[i] ?? 0n) + (b[i] ?? 0n), p));
+    }
+    return trimP(result);
+}
+
+export function subP(a, b, p) {
+    const result = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        result.push(modP((a[i] ?? 0n) - (b[i] ?? 0n), p));
+    }
+    return trimP(result);
+}
+
+export function mulP(a, b, p) {
+    if (a.length === 0 || b.length === 0) return [];
+    const result = Array(a.length + b.length - 1).fill(0n);
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === 0n) continue;
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] = (result[i + j] + a[i] * b[j]) % p;
+        }
+    }
+    return trimP(result);
+}
+
+export function scaleP(a, c, p) {
+    return trimP(a.map(x => modP(x * c, p)));
+}
+
+/**
+ * Scale to leading coefficient 1
+ */
+export function monicP(a, p) {
+    if (a.length === 0) return [];
+    return scaleP(a, invP(a[a.length - 1], p), p);
+}
+
+/**
+ * Division with remainder over GF(p)
+ * Returns { quotient, remainder } with a = quotient * b + remainder
+ */
+export function divideP(a, b, p) {
+    if (b.length === 0) {
+        throw new Error("Polynomial division by zero");
+    }
+    const remainder = [...a];
+    const quotient = Array(Math.max(a.length - b.length + 1, 0)).fill(0n);
+    const leadInv = invP(b[b.length - 1], p);
+
+    for (let i = a.length - b.length; i >= 0; i--) {
+        const c = (remainder[i + b.length - 1] * leadInv) % p;
+        quotient[i] = c;
+        if (c === 0n) continue;
+        for (let j = 0; j < b.length; j++) {
+            remainder[i + j] = modP(remainder[i + j] - c * b[j], p);
+        }
+    }
+    return { quotient: trimP(quotient), remainder: trimP(remainder) };
+}
+
+export function remP(a, b, p) {
+    return divideP(a, b, p).remainder;
+}
+
+/**
+ * Monic GCD over GF(p)
+ */
+export function gcdP(a, b, p) {
+    while (b.length > 0) {
+        [a, b] = [b, remP(a, b, p)];
+    }
+    return monicP(a, p);
+}
+
+/**
+ * Extended Euclid over GF(p): { gcd, s, t } with s·a + t·b = gcd (gcd monic)
+ */
+export function extGcdP(a, b, p) {
+    let [r0, r1] = [a, b];
+    let [s0, s1] = [[1n], []];
+    let [t0, t1] = [[], [1n]];
+
+    while (r1.length > 0) {
+        const { quotient, remainder } = divideP(r0, r1, p);
+        [r0, r1] = [r1, remainder];
+        [s0, s1] = [s1, subP(s0, mulP(quotient, s1, p), p)];
+        [t0, t1] = [t1, subP(t0, mulP(quotient, t1, p), p)];
+    }
+
+    if (r0.length === 0) return { gcd: [], s: [], t: [] };
+    const leadInv = invP(r0[r0.length - 1], p);
+    return { gcd: scaleP(r0, leadInv, p), s: scaleP(s0, leadInv, p), t: scaleP(t0, leadInv, p) };
+}
+
+/**
+ * base^e mod m over GF(p), by repeated squaring
+ */
+export function powModP(base, e, m, p) {
+    let result = remP([1n], m, p);
+    base = remP(base, m, p);
+    while (e > 0n) {
+        if (e % 2n === 1n) {
+            result = remP(mulP(result, base, p), m, p);
+        }
+        e = e / 2n;
+        if (e > 0n) base = remP(mulP(base, base, p), m, p);
+    }
+    return result;
+}
+
+export function derivP(a, p) {
+    return trimP(a.slice(1).map((c, i) => modP(c * BigInt(i + 1), p)));
+}
+
+export function evalP(a, x, p) {
+    let result = 0n;
+    for (let i = a.length - 1; i >= 0; i--) {
+        result = (result * x + a[i]) % p;
+    }
+    return result;
+}
+
+/**
+ * p-th root of a polynomial whose derivative vanishes: Σ cᵢ x^(ip) ↦ Σ cᵢ xⁱ
+ * (c^p = c in GF(p))
+ */
+function pthRootP(a, p) {
+    const step = Number(p);
+    const result = [];
+    for (let i = 0; i < a.length; i += step) result.push(a[i]);
+    return trimP(result);
+}
+
+export const isOne = (a) => a.length === 1 && a[0] === 1n;
+
+/**
+ * Square-free decomposition of a monic polynomial over GF(p)
+ * Returns [{ factor, multiplicity }] with monic factors, f = ∏ factorᵏ
+ */
+export function squareFreeP(f, p) {
+    const result = [];
+    let c = gcdP(f, derivP(f, p), p);
+    let w = divideP(f, c, p).quotient;
+
+    // Factors whose multiplicity is not divisible by p
+    let i = 1;
+    while (!isOne(w)) {
+        const y = gcdP(w, c, p);
+        const factor = divideP(w, y, p).quotient;
+        if (factor.length > 1) {
+            result.push({ factor, multiplicity: i });
+        }
+        w = y;
+        c = divideP(c, y, p).quotient;
+        i++;
+    }
+
+    // What remains is a p-th power
+    if (!isOne(c)) {
+        for (const { factor, multiplicity } of squareFreeP(pthRootP(c, p), p)) {
+            result.push({ factor, multiplicity: multiplicity * Number(p) });
+        }
+    }
+    return result.sort((s, t) => s.multiplicity - t.multiplicity);
+}
+
+/**
+ * Distinct-degree factorization of a monic square-free polynomial
+ * Returns [{ factor, degree }] where factor is the product of all irreducible factors of that degree
+ */
+function distinctDegreeP(f, p) {
+    const result = [];
+    const x = [0n, 1n];
+    let rest = f;
+    let h = remP(x, rest, p);
+
+    for (let d = 1; rest.length - 1 >= 2 * d; d++) {
+        h = powModP(h, p, rest, p);
+        const g = gcdP(rest, subP(h, x, p), p);
+        if (!isOne(g)) {
+            result.push({ factor: g, degree: d });
+            rest = divideP(rest, g, p).quotient;
+            h = remP(h, rest, p);
+        }
+    }
+    if (rest.length > 1) {
+        result.push({ factor: rest, degree: rest.length - 1 });
+    }
+    return result;
+}
+
+/**
+ * Deterministic pseudo-random generator for equal-degree splitting,
+ * so that factorizations are reproducible
+ */
+function makeRandomPoly(p) {
+    let state = 0x853c49e6748fea9bn;
+    const mask = (1n << 64n) - 1n;
+    return (n) => {
+        const coeffs = [];
+        for (let i = 0; i < n; i++) {
+            state = (state * 6364136223846793005n + 1442695040888963407n) & mask;
+            coeffs.push((state >> 17n) % p);
+        }
+        return trimP(coeffs);
+    };
+}
+
+/**
+ * Equal-degree factorization (Cantor–Zassenhaus)
+ * f is monic, square-free, and a product of irreducibles of degree d
+ */
+function equalDegreeP(f, d, p, random) {
+    const n = f.length - 1;
+    if (n === d) return [f];
+
+    for (;;) {
+        const a = random(n);
+        if (a.length < 2) continue;
+
+        let b;
+        if (p === 2n) {
+            // Trace map a + a² + a⁴ + ... + a^(2^(d-1))
+            let term = a;
+            b = a;
+            for (let j = 1; j < d; j++) {
+                term = remP(mulP(term, term, p), f, p);
+                b = addP(b, term, p);
+            }
+        } else {
+            const e = (p ** BigInt(d) - 1n) / 2n;
+            b = subP(powModP(a, e, f, p), [1n], p);
+        }
+
+        const g = gcdP(f, b, p);
+        if (g.length > 1 && g.length < f.length) {
+            return [
+                ...equalDegreeP(g, d, p, random),
+                ...equalDegreeP(divideP(f, g, p).quotient, d, p, random)
+            ];
+        }
+    }
+}
+
+/**
+ * Compare coefficient arrays by degree, then coefficients from the top
+ */
+function compareCoeffsP(a, b) {
+    if (a.length !== b.length) return a.length - b.length;
+    for (let i = a.length - 1; i >= 0; i--) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Complete factorization over GF(p)
+ * Returns { lead, factors: [{ factor, multiplicity }] } with monic irreducible factors
+ */
+export function factorP(f, p) {
+    const lead = f[f.length - 1];
+    const random = makeRandomPoly(p);
+    const factors = [];
+
+    for (const { factor: sqf, multiplicity } of squareFreeP(monicP(f, p), p)) {
+        for (const { factor: group, degree } of distinctDegreeP(sqf, p)) {
+            for (const factor of equalDegreeP(group, degree, p, random)) {
+                factors.push({ factor, multiplicity });
+            }
+        }
+    }
+
+    factors.sort((s, t) => compareCoeffsP(s.factor, t.factor) || s.multiplicity - t.multiplicity);
+    return { lead, factors };
+}
@@ -3,6 +3,9 @@
  * 
  * Provides arithmetic functions for rational numbers and integers:
  * - Polynomials (evaluation, arithmetic, synthetic division, root finding)
+ * - Multivariate polynomials (sparse, named variables, lex/grevlex orders)
+ * - Polynomials over finite fields GF(p) (arithmetic, GCD, factorization)
+ * - Orthogonal polynomial families (Chebyshev, Legendre, Hermite, Laguerre, Jacobi, Bernstein)
  * - Number theory (GCD, LCM, primes, modular arithmetic)
  * - Rational functions (quotients of polynomials, partial fractions)
  * - Piecewise and step functions
@@ -12,12 +15,18 @@
 import { CoreArithmetic } from "./core-arith.js";
 import { NumberTheory } from "./number-theory.js";
 import { PolynomialFunctions } from "./polynomial.js";
+import { PolyMVFunctions } from "./poly-mv.js";
+import { PolyModPFunctions } from "./poly-modp.js";
+import { OrthogonalFunctions } from "./orthogonal.js";
 import { RationalFuncFunctions } from "./rational-func.js";
 import { PiecewiseFunctions } from "./piecewise.js";
 
 export * from "./core-arith.js";
 export * from "./number-theory.js";
 export * from "./polynomial.js";
+export * from "./poly-mv.js";
+export * from "./poly-modp.js";
+export * from "./orthogonal.js";
 export * from "./rational-func.js";
 export * from "./piecewise.js";
 
@@ -46,6 +55,21 @@ export function registerArithFuns(vm) {
         register(name, def);
     }
 
+    // Multivariate Polynomials
+    for (const [name, def] of Object.entries(PolyMVFunctions)) {
+        register(name, def);
+    }
+
+    // Polynomials over GF(p)
+    for (const [name, def] of Object.entries(PolyModPFunctions)) {
+        register(name, def);
+    }
+
+    // Orthogonal Polynomials
+    for (const [name, def] of Object.entries(OrthogonalFunctions)) {
+        register(name, def);
+    }
+
     // Rational Functions
     for (const [name, def] of Object.entries(RationalFuncFunctions)) {
         register(name, def);
@@ -5,6 +5,7 @@
  */
 
 import { Integer, Rational } from "@ratmath/core";
+import { gcdBigInt, lcmBigInt, extGcdBigInt, modPowBigInt, isPrimeBigInt, factorBigInt } from "./bigint-utils.js";
 
 /**
  * Extract BigInt value from Integer or number
@@ -22,109 +23,6 @@ function toBigInt(val) {
     throw new Error(`Cannot convert ${typeof val} to integer`);
 }
 
-/**
- * GCD of two BigInts
- */
-function gcdBigInt(a, b) {
-    a = a < 0n ? -a : a;
-    b = b < 0n ? -b : b;
-    while (b !== 0n) {
-        [a, b] = [b, a % b];
-    }
-    return a;
-}
-
-/**
- * LCM of two BigInts
- */
-function lcmBigInt(a, b) {
-    if (a === 0n || b === 0n) return 0n;
-    a = a < 0n ? -a : a;
-    b = b < 0n ? -b : b;
-    return (a / gcdBigInt(a, b)) * b;
-}
-
-/**
- * Extended Euclidean algorithm
- * Returns [gcd, x, y] such that a*x + b*y = gcd
- */
-function extGcdBigInt(a, b) {
-    if (b === 0n) {
-        return [a, 1n, 0n];
-    }
-    const [g, x1, y1] = extGcdBigInt(b, a % b);
-    const x = y1;
-    const y = x1 - (a / b) * y1;
-    return [g, x, y];
-}
-
-/**
- * Modular exponentiation
- */
-function modPowBigInt(base, exp, mod) {
-    if (mod === 1n) return 0n;
-    let result = 1n;
-    base = ((base % mod) + mod) % mod;
-    while (exp > 0n) {
-        if (exp % 2n === 1n) {
-            result = (result * base) % mod;
-        }
-        exp = exp / 2n;
-        base = (base * base) % mod;
-    }
-    return result;
-}
-
-/**
- * Simple primality test (trial division for now)
- */
-function isPrimeBigInt(n) {
-    if (n < 2n) return false;
-    if (n === 2n) return true;
-    if (n % 2n === 0n) return false;
-    if (n === 3n) return true;
-    if (n % 3n === 0n) return false;
-    
-    let i = 5n;
-    while (i * i <= n) {
-        if (n % i === 0n || n % (i + 2n) === 0n) {
-            return false;
-        }
-        i += 6n;
-    }
-    return true;
-}
-
-/**
- * Prime factorization
- */
-function factorBigInt(n) {
-    if (n < 0n) n = -n;
-    if (n <= 1n) return [];
-    
-    const factors = [];
-    
-    while (n % 2n === 0n) {
-        factors.push(2n);
-        n = n / 2n;
-    }
-    
-    let d = 3n;
-    while (d * d <= n) {
-        while (n % d === 0n) {
-            factors.push(d);
-            n = n / d;
-        }
-        d += 2n;
-    }
-    
-    if (n > 1n) {
-        factors.push(n);
-    }
-    
-    return factors;
-}
-
 export const NumberTheory = {
     /**
      * GCD of multiple numbers
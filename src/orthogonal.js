@@ -0,0 +1,389 @@
+/**
+ * Orthogonal Polynomial Families
+ *
+ * Chebyshev, Legendre, Hermite, Laguerre, Jacobi and Bernstein polynomials
+ * with exact rational coefficients, built from their recurrences, and exact
+ * weighted inner products through the moments of each weight.
+ */
+
+import { Integer, Rational } from "@ratmath/core";
+import { PolynomialFunctions } from "./polynomial.js";
+import { toRational, toExponent } from "./convert.js";
+
+const ZERO = new Rational(0n, 1n);
+const ONE = new Rational(1n, 1n);
+
+function rat(n) {
+    return new Rational(BigInt(n), 1n);
+}
+
+/**
+ * Convert value to a non-negative JS integer degree or index
+ */
+function toIndex(val, name) {
+    return toExponent(val, `${name} must be a non-negative integer`);
+}
+
+function isString(val) {
+    return typeof val === 'string' || val?.type === 'string';
+}
+
+/**
+ * Coefficient-wise helpers on ascending Rational arrays
+ */
+function addCoeffs(a, b) {
+    return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => (a[i] ?? ZERO).add(b[i] ?? ZERO));
+}
+
+function scaleCoeffs(a, c) {
+    return a.map(x => x.multiply(c));
+}
+
+/**
+ * (u + v·x)·a
+ */
+function linearTimes(a, u, v) {
+    return addCoeffs(scaleCoeffs(a, u), [ZERO, ...scaleCoeffs(a, v)]);
+}
+
+/**
+ * p₀, p₁, then p_{k+1} = (A_k + B_k·x)·p_k - C_k·p_{k-1} for k = 1, ..., n - 1,
+ * where step(k) returns [A_k, B_k, C_k]
+ */
+function threeTermRecurrence(n, p0, p1, step) {
+    if (n === 0) return p0;
+    let [prev, current] = [p0, p1];
+    for (let k = 1; k < n; k++) {
+        const [A, B, C] = step(k);
+        [prev, current] = [current, addCoeffs(linearTimes(current, A, B), scaleCoeffs(prev, C.negate()))];
+    }
+    return current;
+}
+
+/**
+ * Standard Poly object for coefficients in the given variable
+ */
+function makeFamilyPoly(coeffs, variable) {
+    return PolynomialFunctions.Poly.handler({ type: 'sequence', values: coeffs }, variable?.value ?? variable ?? "x");
+}
+
+/**
+ * Jacobi Pₙ^(α,β) by the standard recurrence, with s = 2k + α + β:
+ * 2(k + 1)(k + α + β + 1)s·Pₖ₊₁ = (s + 1)((s + 2)s·x + α² - β²)·Pₖ - 2(k + α)(k + β)(s + 2)·Pₖ₋₁
+ */
+function jacobiCoeffs(n, alpha, beta) {
+    const ab = alpha.add(beta);
+    const two = rat(2);
+    const p1 = [alpha.subtract(beta).divide(two), ab.add(two).divide(two)];
+    return threeTermRecurrence(n, [ONE], p1, (k) => {
+        const s = rat(2 * k).add(ab);   // 2k + α + β
+        const denom = two.multiply(rat(k + 1)).multiply(rat(k + 1).add(ab)).multiply(s);
+        if (denom.numerator === 0n) {
+            throw new Error("Jacobi: the recurrence is degenerate for these parameters");
+        }
+        const lead = s.add(ONE);
+        return [
+            lead.multiply(alpha.multiply(alpha).subtract(beta.multiply(beta))).divide(denom),
+            lead.multiply(s.add(two)).multiply(s).divide(denom),
+            two.multiply(rat(k).add(alpha)).multiply(rat(k).add(beta)).multiply(s.add(two)).divide(denom)
+        ];
+    });
+}
+
+/**
+ * Exact constants c·(√π)ᵉ·Γ(r₁)…/Γ(s₁)…: the weights' total masses
+ */
+function makeConstant(coef, sqrtPi = 0, num = [], den = []) {
+    return { coef, sqrtPi, num, den };
+}
+
+function mulConstants(a, b) {
+    return makeConstant(a.coef.multiply(b.coef), a.sqrtPi + b.sqrtPi, [...a.num, ...b.num], [...a.den, ...b.den]);
+}
+
+function invertConstant(a) {
+    return makeConstant(a.coef.reciprocal(), -a.sqrtPi, a.den, a.num);
+}
+
+/**
+ * Γ(r) for r > 0: exact for integers and half-integers (a multiple of √π),
+ * otherwise kept as a named factor
+ */
+function gammaConstant(r) {
+    if (r.denominator === 1n) {
+        let f = 1n;
+        for (let k = 2n; k < r.numerator; k++) f *= k;
+        return makeConstant(new Rational(f, 1n));
+    }
+    if (r.denominator === 2n) {
+        // Γ(m + 1/2) = (2m)! / (4ᵐ m!) · √π
+        const m = (r.numerator - 1n) / 2n;
+        let coef = ONE;
+        for (let k = 1n; k <= m; k++) coef = coef.multiply(new Rational(2n * k - 1n, 2n));
+        return makeConstant(coef, 1);
+    }
+    return makeConstant(ONE, 0, [`Γ(${r})`]);
+}
+
+/**
+ * 2ʳ: exact for integer r, otherwise the fractional power is a named factor
+ */
+function powerOfTwoConstant(r) {
+    const floor = r.numerator >= 0n ? r.numerator / r.denominator : -((-r.numerator + r.denominator - 1n) / r.denominator);
+    const coef = floor >= 0n ? new Rational(2n ** floor, 1n) : new Rational(1n, 2n ** -floor);
+    const frac = r.subtract(new Rational(floor, 1n));
+    return makeConstant(coef, 0, frac.numerator === 0n ? [] : [`2^(${frac})`]);
+}
+
+/**
+ * Text for the non-rational part of a constant, or null when it is rational
+ */
+function constantFactor(c) {
+    const piPart = (e) => e === 0 ? [] : e === 1 ? ["√π"] : e === 2 ? ["π"] : [`π^(${e}/2)`];
+    const num = [...piPart(Math.max(c.sqrtPi, 0)), ...c.num];
+    const den = [...piPart(Math.max(-c.sqrtPi, 0)), ...c.den];
+    if (num.length === 0 && den.length === 0) return null;
+    const top = num.length > 0 ? num.join("·") : "1";
+    if (den.length === 0) return top;
+    return `${top}/${den.length > 1 ? `(${den.join("·")})` : den[0]}`;
+}
+
+/**
+ * Parameters α (and β) of the weight, which must be rational and > -1
+ */
+function toWeightParam(val, name) {
+    const r = val === undefined ? ZERO : toRational(val);
+    if (r.compareTo(rat(-1)) <= 0) {
+        throw new Error(`OrthoInner: ${name} must be greater than -1`);
+    }
+    return r;
+}
+
+/**
+ * Moment ratios of an even weight: odd moments vanish and mₖ₊₂ = mₖ·next(k)
+ */
+function evenMoments(n, first, next) {
+    const ratios = Array(n).fill(ZERO);
+    if (n > 0) ratios[0] = first;
+    for (let k = 0; k + 2 < n; k += 2) ratios[k + 2] = ratios[k].multiply(next(k));
+    return ratios;
+}
+
+/**
+ * Moments mₖ = ∫ xᵏ w(x) dx of each family's weight w for k < n, as the exact
+ * total weight (mass) times rational ratios mₖ / m₀
+ */
+const WEIGHT_MOMENTS = {
+    // 1 on [-1, 1]
+    legendre: (n) => ({ mass: makeConstant(rat(2)), ratios: evenMoments(n, ONE, (k) => new Rational(BigInt(k + 1), BigInt(k + 3))) }),
+    // 1/√(1 - x²) on [-1, 1]
+    chebyshevt: (n) => ({ mass: makeConstant(ONE, 2), ratios: evenMoments(n, ONE, (k) => new Rational(BigInt(k + 1), BigInt(k + 2))) }),
+    // √(1 - x²) on [-1, 1]
+    chebyshevu: (n) => ({ mass: makeConstant(new Rational(1n, 2n), 2), ratios: evenMoments(n, ONE, (k) => new Rational(BigInt(k + 1), BigInt(k + 4))) }),
+    // e^(-x²) on (-∞, ∞)
+    hermite: (n) => ({ mass: makeConstant(ONE, 1), ratios: evenMoments(n, ONE, (k) => new Rational(BigInt(k + 1), 2n)) }),
+    // e^(-x²/2) on (-∞, ∞)
+    hermitehe: (n) => ({ mass: makeConstant(ONE, 0, ["√(2π)"]), ratios: evenMoments(n, ONE, (k) => rat(k + 1)) }),
+    // xᵅ e^(-x) on [0, ∞)
+    laguerre: (n, alpha) => {
+        // mₖ = Γ(k + α + 1) = Γ(α + 1)·(α + 1)(α + 2)…(α + k)
+        const ratios = [];
+        for (let k = 0, r = ONE; k < n; k++, r = r.multiply(alpha.add(rat(k)))) ratios.push(r);
+        return { mass: gammaConstant(alpha.add(ONE)), ratios };
+    },
+    // (1 - x)ᵅ (1 + x)ᵝ on [-1, 1]
+    jacobi: (n, alpha, beta) => {
+        // Jⱼ = ∫(1 - x)ᵅ(1 + x)^(β+j) = J₀·sⱼ with sⱼ₊₁ = sⱼ·2(β + j + 1)/(α + β + j + 2),
+        // and xᵏ = ((1 + x) - 1)ᵏ expands the moments in the Jⱼ
+        const ab = alpha.add(beta);
+        const s = [ONE];
+        for (let j = 0; j + 1 < n; j++) {
+            s.push(s[j].multiply(rat(2).multiply(beta.add(rat(j + 1)))).divide(ab.add(rat(j + 2))));
+        }
+        const ratios = [];
+        for (let k = 0; k < n; k++) {
+            let sum = ZERO;
+            let binom = ONE;
+            for (let j = 0; j <= k; j++) {
+                const term = s[j].multiply(binom);
+                sum = (k - j) % 2 === 0 ? sum.add(term) : sum.subtract(term);
+                binom = binom.multiply(rat(k - j)).divide(rat(j + 1));
+            }
+            ratios.push(sum);
+        }
+        // J₀ = 2^(α+β+1)·Γ(α + 1)Γ(β + 1)/Γ(α + β + 2)
+        const mass = [powerOfTwoConstant(ab.add(ONE)), gammaConstant(alpha.add(ONE)), gammaConstant(beta.add(ONE)),
+            invertConstant(gammaConstant(ab.add(rat(2))))].reduce(mulConstants);
+        return { mass, ratios };
+    },
+    // 1 on [0, 1]
+    bernstein: (n) => ({ mass: makeConstant(ONE), ratios: Array.from({ length: n }, (_, k) => new Rational(1n, BigInt(k + 1))) })
+};
+
+/**
+ * Orthogonal polynomial functions
+ */
+export const OrthogonalFunctions = {
+    /**
+     * Chebyshev polynomials of the first kind
+     */
+    ChebyshevT: {
+        type: 'js',
+        handler: function (n, variable) {
+            const coeffs = threeTermRecurrence(toIndex(n, "ChebyshevT degree"), [ONE], [ZERO, ONE],
+                () => [ZERO, rat(2), ONE]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "var?"],
+        doc: "Chebyshev polynomial Tₙ: T₀ = 1, T₁ = x, Tₖ₊₁ = 2x·Tₖ - Tₖ₋₁"
+    },
+
+    /**
+     * Chebyshev polynomials of the second kind
+     */
+    ChebyshevU: {
+        type: 'js',
+        handler: function (n, variable) {
+            const coeffs = threeTermRecurrence(toIndex(n, "ChebyshevU degree"), [ONE], [ZERO, rat(2)],
+                () => [ZERO, rat(2), ONE]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "var?"],
+        doc: "Chebyshev polynomial Uₙ: U₀ = 1, U₁ = 2x, Uₖ₊₁ = 2x·Uₖ - Uₖ₋₁"
+    },
+
+    /**
+     * Legendre polynomials
+     */
+    Legendre: {
+        type: 'js',
+        handler: function (n, variable) {
+            const coeffs = threeTermRecurrence(toIndex(n, "Legendre degree"), [ONE], [ZERO, ONE],
+                (k) => [ZERO, new Rational(BigInt(2 * k + 1), BigInt(k + 1)), new Rational(BigInt(k), BigInt(k + 1))]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "var?"],
+        doc: "Legendre polynomial Pₙ: (k + 1)Pₖ₊₁ = (2k + 1)x·Pₖ - k·Pₖ₋₁"
+    },
+
+    /**
+     * Physicists' Hermite polynomials
+     */
+    Hermite: {
+        type: 'js',
+        handler: function (n, variable) {
+            const coeffs = threeTermRecurrence(toIndex(n, "Hermite degree"), [ONE], [ZERO, rat(2)],
+                (k) => [ZERO, rat(2), rat(2 * k)]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "var?"],
+        doc: "Physicists' Hermite polynomial Hₙ: Hₖ₊₁ = 2x·Hₖ - 2k·Hₖ₋₁"
+    },
+
+    /**
+     * Probabilists' Hermite polynomials
+     */
+    HermiteHe: {
+        type: 'js',
+        handler: function (n, variable) {
+            const coeffs = threeTermRecurrence(toIndex(n, "HermiteHe degree"), [ONE], [ZERO, ONE],
+                (k) => [ZERO, ONE, rat(k)]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "var?"],
+        doc: "Probabilists' Hermite polynomial Heₙ: Heₖ₊₁ = x·Heₖ - k·Heₖ₋₁"
+    },
+
+    /**
+     * Generalized Laguerre polynomials
+     */
+    Laguerre: {
+        type: 'js',
+        handler: function (n, alpha, variable) {
+            if (isString(alpha)) [alpha, variable] = [undefined, alpha];
+            const a = alpha === undefined ? ZERO : toRational(alpha);
+            const coeffs = threeTermRecurrence(toIndex(n, "Laguerre degree"), [ONE], [a.add(ONE), rat(-1)],
+                (k) => [
+                    rat(2 * k + 1).add(a).divide(rat(k + 1)),
+                    new Rational(-1n, BigInt(k + 1)),
+                    rat(k).add(a).divide(rat(k + 1))
+                ]);
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "alpha?", "var?"],
+        doc: "Generalized Laguerre polynomial Lₙ^(α) (default α = 0): (k + 1)Lₖ₊₁ = (2k + 1 + α - x)Lₖ - (k + α)Lₖ₋₁"
+    },
+
+    /**
+     * Jacobi polynomials
+     */
+    Jacobi: {
+        type: 'js',
+        handler: function (n, alpha, beta, variable) {
+            const coeffs = jacobiCoeffs(toIndex(n, "Jacobi degree"), toRational(alpha), toRational(beta));
+            return makeFamilyPoly(coeffs, variable);
+        },
+        params: ["n", "alpha", "beta", "var?"],
+        doc: "Jacobi polynomial Pₙ^(α,β) with rational parameters, by the three-term recurrence"
+    },
+
+    /**
+     * Bernstein basis polynomials
+     */
+    Bernstein: {
+        type: 'js',
+        handler: function (k, n, variable) {
+            const index = toIndex(k, "Bernstein index");
+            const degree = toIndex(n, "Bernstein degree");
+            if (index > degree) {
+                throw new Error("Bernstein requires k ≤ n");
+            }
+            // bⱼ,ₘ = (1 - x)·bⱼ,ₘ₋₁ + x·bⱼ₋₁,ₘ₋₁, one row of the triangle per degree
+            let row = [[ONE]];
+            for (let m = 1; m <= degree; m++) {
+                row = Array.from({ length: m + 1 }, (_, j) => addCoeffs(
+                    j < m ? linearTimes(row[j], ONE, rat(-1)) : [],
+                    j > 0 ? [ZERO, ...row[j - 1]] : []
+                ));
+            }
+            return makeFamilyPoly(row[index], variable);
+        },
+        params: ["k", "n", "var?"],
+        doc: "Bernstein basis polynomial bₖ,ₙ = C(n, k)·xᵏ(1 - x)ⁿ⁻ᵏ"
+    },
+
+    /**
+     * Weighted inner product
+     */
+    OrthoInner: {
+        type: 'js',
+        handler: function (family, p, q, alpha, beta) {
+            const name = String(family?.value ?? family);
+            const moments = WEIGHT_MOMENTS[name.toLowerCase()];
+            if (!moments) {
+                throw new Error(`OrthoInner: unknown family ${name} (use ChebyshevT, ChebyshevU, Legendre, Hermite, HermiteHe, Laguerre, Jacobi or Bernstein)`);
+            }
+            const product = PolynomialFunctions.PolyMul.handler(p, q);
+            const coeffs = PolynomialFunctions.PolyCoeffs.handler(product).values.map(toRational);
+            const params = [toWeightParam(alpha, "alpha"), toWeightParam(beta, "beta")];
+            const { mass, ratios } = moments(coeffs.length, ...params);
+
+            const sum = coeffs.reduce((acc, c, k) => acc.add(c.multiply(ratios[k])), ZERO);
+            const factor = constantFactor(mass);
+            if (factor === null || sum.numerator === 0n) {
+                return sum.multiply(mass.coef);
+            }
+            const coefficient = sum.multiply(mass.coef);
+            const factorString = { type: 'string', value: factor };
+            return {
+                type: 'sequence',
+                values: [coefficient, factorString],
+                lastValue: factorString,
+                coefficient: coefficient,
+                factor: factorString
+            };
+        },
+        params: ["family", "P", "Q", "alpha?", "beta?"],
+        doc: "Exact ∫ P·Q·w over the family's interval; a rational, or {coefficient, factor} meaning coefficient·factor for constants such as π or √π"
+    }
+};
@@ -0,0 +1,415 @@
+/**
+ * Polynomials over Finite Fields
+ *
+ * Polynomials with coefficients in GF(p) = Z/pZ for a prime p.
+ * Coefficients are stored ascending as BigInts in [0, p); the zero polynomial is [].
+ * Factorization is square-free decomposition followed by Cantor–Zassenhaus
+ * (distinct-degree then equal-degree splitting); the arithmetic lives in
+ * gfp-utils.js, which factoring over Q shares.
+ */
+
+import { Integer, Rational } from "@ratmath/core";
+import { modPowBigInt } from "./bigint-utils.js";
+import {
+    modP, invP, trimP, addP, subP, mulP, monicP, divideP, remP, gcdP, extGcdP,
+    powModP, derivP, evalP, isOne, squareFreeP, factorP
+} from "./gfp-utils.js";
+
+/**
+ * Convert a value to an element of GF(p); rationals use the inverse of the denominator
+ */
+function toFieldElement(val, p) {
+    if (val instanceof Integer) return modP(val.value, p);
+    if (val instanceof Rational) return modP(val.numerator * invP(val.denominator, p), p);
+    if (typeof val === 'bigint') return modP(val, p);
+    if (Number.isInteger(val)) return modP(BigInt(val), p);
+    throw new Error(`Cannot convert ${typeof val === 'number' ? val : typeof val} to an element of GF(${p})`);
+}
+
+/**
+ * The first 13 primes: trial divisors, and Miller-Rabin bases that decide
+ * primality for every n below MILLER_RABIN_LIMIT (Sorenson and Webster)
+ */
+const SMALL_PRIMES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const MILLER_RABIN_LIMIT = 3317044064679887385961981n;
+
+/**
+ * Modulus check: Miller-Rabin on the fixed SMALL_PRIMES bases, so the answer is
+ * reproducible; it is a proof below MILLER_RABIN_LIMIT (past 64 bits) and a
+ * strong probable-prime test above it. IsPrime keeps its own exact test.
+ */
+function isPrimeModulus(n) {
+    if (n < 2n) return false;
+    for (const p of SMALL_PRIMES) {
+        if (n === p) return true;
+        if (n % p === 0n) return false;
+    }
+    
+    let d = n - 1n;
+    let s = 0;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+    // A base a is a witness unless a^d ≡ 1 or a^(d·2ʳ) ≡ -1 for some r < s
+    return SMALL_PRIMES.every(a => {
+        let x = modPowBigInt(a, d, n);
+        if (x === 1n || x === n - 1n) return true;
+        for (let i = 1; i < s; i++) {
+            x = (x * x) % n;
+            if (x === n - 1n) return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Extract a BigInt modulus
+ */
+function toModulus(val) {
+    const p = val instanceof Integer ? val.value
+        : val instanceof Rational && val.denominator === 1n ? val.numerator
+        : typeof val === 'bigint' ? val
+        : Number.isInteger(val) ? BigInt(val)
+        : undefined;
+    if (p === undefined || !isPrimeModulus(p)) {
+        throw new Error("Modulus must be a prime");
+    }
+    return p;
+}
+
+/**
+ * Build a PolyModP object from reduced coefficients
+ */
+function makePolyModP(coeffs, p, variable = "x") {
+    const trimmed = trimP(coeffs);
+    const values = (trimmed.length > 0 ? trimmed : [0n]).map(c => new Integer(c));
+    return {
+        type: 'polymodp',
+        coeffs: {
+            type: 'sequence',
+            values: values,
+            lastValue: values[values.length - 1]
+        },
+        degree: trimmed.length - 1,
+        modulus: new Integer(p),
+        variable: variable,
+        call: (x) => new Integer(evalP(trimmed, toFieldElement(x, p), p))
+    };
+}
+
+/**
+ * Coefficients of a PolyModP, Poly, coefficient sequence or scalar, reduced mod p
+ */
+function extractCoeffsP(val, p) {
+    if (val?.type === 'polymodp') {
+        if (val.modulus.value !== p) {
+            throw new Error(`Moduli differ: ${val.modulus.value} and ${p}`);
+        }
+        return trimP(val.coeffs.values.map(c => c.value));
+    }
+    if (val?.type === 'sequence') {
+        return trimP(val.values.map(c => toFieldElement(c, p)));
+    }
+    if (val?.coeffs) {
+        return extractCoeffsP(val.coeffs, p);
+    }
+    return trimP([toFieldElement(val, p)]);
+}
+
+/**
+ * Modulus and variable of the first PolyModP argument, with all arguments reduced
+ */
+function operandsP(...args) {
+    const first = args.find(a => a?.type === 'polymodp');
+    if (!first) {
+        throw new Error("Expected a PolyModP polynomial");
+    }
+    const p = first.modulus.value;
+    return { p, variable: first.variable, coeffs: args.map(a => extractCoeffsP(a, p)) };
+}
+
+/**
+ * Wrap factors as {factor, multiplicity} pairs
+ */
+function factorSequence(factors, p, variable, mark) {
+    const values = factors.map(({ factor, multiplicity }) => {
+        const factorPoly = makePolyModP(factor, p, variable);
+        if (mark) factorPoly.irreducible = 1;
+        const mult = new Integer(BigInt(multiplicity));
+        return {
+            type: 'sequence',
+            values: [factorPoly, mult],
+            lastValue: mult,
+            factor: factorPoly,
+            multiplicity: mult
+        };
+    });
+    return {
+        type: 'sequence',
+        values: values,
+        lastValue: values.length > 0 ? values[values.length - 1] : undefined
+    };
+}
+
+export const PolyModPFunctions = {
+    /**
+     * Create polynomial over GF(p)
+     * PolyModP({1, 2, 3}, 5) creates 1 + 2x + 3x² over GF(5)
+     */
+    PolyModP: {
+        type: 'js',
+        handler: function (coeffs, modulus, varName) {
+            const p = toModulus(modulus);
+            const variable = varName?.value || varName || coeffs?.variable || "x";
+            return makePolyModP(extractCoeffsP(coeffs, p), p, variable);
+        },
+        params: ["coeffs", "p", "var?"],
+        doc: "Create polynomial over GF(p) from coefficients {a₀, a₁, ...} (p prime; rationals map via ModInv)"
+    },
+
+    /**
+     * Add polynomials over GF(p)
+     */
+    PolyModPAdd: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            return makePolyModP(addP(f, g, p), p, variable);
+        },
+        params: ["p", "q"],
+        doc: "Add polynomials over GF(p)"
+    },
+
+    /**
+     * Subtract polynomials over GF(p)
+     */
+    PolyModPSub: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            return makePolyModP(subP(f, g, p), p, variable);
+        },
+        params: ["p", "q"],
+        doc: "Subtract polynomials over GF(p): P - Q"
+    },
+
+    /**
+     * Multiply polynomials over GF(p)
+     */
+    PolyModPMul: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            return makePolyModP(mulP(f, g, p), p, variable);
+        },
+        params: ["p", "q"],
+        doc: "Multiply polynomials over GF(p)"
+    },
+
+    /**
+     * Division with remainder over GF(p)
+     */
+    PolyModPDiv: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            const { quotient, remainder } = divideP(f, g, p);
+
+            const quotientPoly = makePolyModP(quotient, p, variable);
+            const remainderPoly = makePolyModP(remainder, p, variable);
+
+            return {
+                type: 'sequence',
+                values: [quotientPoly, remainderPoly],
+                lastValue: remainderPoly,
+                quotient: quotientPoly,
+                remainder: remainderPoly
+            };
+        },
+        params: ["p", "q"],
+        doc: "Divide over GF(p): returns {quotient, remainder} with P = quotient·Q + remainder"
+    },
+
+    /**
+     * Remainder over GF(p)
+     */
+    PolyModPMod: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            return makePolyModP(remP(f, g, p), p, variable);
+        },
+        params: ["p", "q"],
+        doc: "Remainder of P/Q over GF(p)"
+    },
+
+    /**
+     * GCD over GF(p)
+     */
+    PolyModPGCD: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            return makePolyModP(gcdP(f, g, p), p, variable);
+        },
+        params: ["p", "q"],
+        doc: "Monic GCD over GF(p)"
+    },
+
+    /**
+     * Extended GCD over GF(p)
+     */
+    PolyModPExtGCD: {
+        type: 'js',
+        handler: function (a, b) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, b);
+            const { gcd, s, t } = extGcdP(f, g, p);
+
+            const gcdPoly = makePolyModP(gcd, p, variable);
+            const sPoly = makePolyModP(s, p, variable);
+            const tPoly = makePolyModP(t, p, variable);
+
+            return {
+                type: 'sequence',
+                values: [gcdPoly, sPoly, tPoly],
+                lastValue: tPoly,
+                gcd: gcdPoly,
+                s: sPoly,
+                t: tPoly
+            };
+        },
+        params: ["p", "q"],
+        doc: "Returns {gcd, s, t} over GF(p) such that s·P + t·Q = gcd (gcd monic)"
+    },
+
+    /**
+     * Inverse modulo a polynomial
+     */
+    PolyModPInv: {
+        type: 'js',
+        handler: function (a, m) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, m);
+            const { gcd, s } = extGcdP(f, g, p);
+            if (!isOne(gcd)) {
+                throw new Error("No inverse: polynomials are not coprime");
+            }
+            return makePolyModP(remP(s, g, p), p, variable);
+        },
+        params: ["p", "m"],
+        doc: "Inverse of P modulo M over GF(p) (requires gcd(P, M) = 1)"
+    },
+
+    /**
+     * Powering modulo a polynomial
+     */
+    PolyModPPowMod: {
+        type: 'js',
+        handler: function (a, n, m) {
+            const { p, variable, coeffs: [f, g] } = operandsP(a, m);
+            const e = n instanceof Integer ? n.value
+                : n instanceof Rational && n.denominator === 1n ? n.numerator
+                : typeof n === 'bigint' ? n
+                : Number.isInteger(n) ? BigInt(n)
+                : undefined;
+            if (e === undefined || e < 0n) {
+                throw new Error("Exponent must be a non-negative integer");
+            }
+            return makePolyModP(powModP(f, e, g, p), p, variable);
+        },
+        params: ["p", "n", "m"],
+        doc: "Pⁿ mod M over GF(p) by repeated squaring"
+    },
+
+    /**
+     * Make monic
+     */
+    PolyModPMonic: {
+        type: 'js',
+        handler: function (a) {
+            const { p, variable, coeffs: [f] } = operandsP(a);
+            return makePolyModP(monicP(f, p), p, variable);
+        },
+        params: ["p"],
+        doc: "Divide by the leading coefficient (multiply by its ModInv)"
+    },
+
+    /**
+     * Evaluate over GF(p)
+     */
+    PolyModPEval: {
+        type: 'js',
+        handler: function (a, x) {
+            const { p, coeffs: [f] } = operandsP(a);
+            return new Integer(evalP(f, toFieldElement(x, p), p));
+        },
+        params: ["p", "x"],
+        doc: "Evaluate P(x) in GF(p)"
+    },
+
+    /**
+     * Formal derivative over GF(p)
+     */
+    PolyModPDer: {
+        type: 'js',
+        handler: function (a) {
+            const { p, variable, coeffs: [f] } = operandsP(a);
+            return makePolyModP(derivP(f, p), p, variable);
+        },
+        params: ["p"],
+        doc: "Formal derivative over GF(p) (zero for p-th powers)"
+    },
+
+    /**
+     * Square-free decomposition over GF(p)
+     */
+    PolyModPSqfree: {
+        type: 'js',
+        handler: function (a) {
+            const { p, variable, coeffs: [f] } = operandsP(a);
+            if (f.length === 0) {
+                throw new Error("PolyModPSqfree requires a nonzero polynomial");
+            }
+            const result = factorSequence(squareFreeP(monicP(f, p), p), p, variable, false);
+            result.lead = new Integer(f[f.length - 1]);
+            return result;
+        },
+        params: ["p"],
+        doc: "Square-free decomposition over GF(p): {factor, multiplicity} with monic factors; P = lead·∏ factorᵏ"
+    },
+
+    /**
+     * Factorization over GF(p)
+     */
+    PolyModPFactor: {
+        type: 'js',
+        handler: function (a) {
+            const { p, variable, coeffs: [f] } = operandsP(a);
+            if (f.length === 0) {
+                throw new Error("PolyModPFactor requires a nonzero polynomial");
+            }
+            const { lead, factors } = factorP(f, p);
+            const result = factorSequence(factors, p, variable, true);
+            result.lead = new Integer(lead);
+            return result;
+        },
+        params: ["p"],
+        doc: "Factor over GF(p) (Cantor–Zassenhaus): monic irreducible {factor, multiplicity}; P = lead·∏ factorᵏ"
+    },
+
+    /**
+     * Irreducibility test over GF(p)
+     */
+    PolyModPIrreducible: {
+        type: 'js',
+        handler: function (a) {
+            const { p, coeffs: [f] } = operandsP(a);
+            if (f.length < 2) return new Integer(0n);
+            const { factors } = factorP(f, p);
+            const irreducible = factors.length === 1 && factors[0].multiplicity === 1;
+            return new Integer(irreducible ? 1n : 0n);
+        },
+        params: ["p"],
+        doc: "Returns 1 if P is irreducible over GF(p), 0 otherwise"
+    },
+};
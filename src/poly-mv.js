@@ -0,0 +1,423 @@
+/**
+ * Multivariate Polynomial Functions
+ *
+ * Sparse polynomials over Q in named variables.
+ * Terms are stored as a Map from exponent vectors to rational coefficients;
+ * lex and grevlex term orders are supported.
+ */
+
+import { Integer, Rational } from "@ratmath/core";
+import { PolynomialFunctions } from "./polynomial.js";
+import { toRational, toExponent } from "./convert.js";
+
+/**
+ * Extract a variable name from a string value
+ */
+function toVarName(val) {
+    const name = typeof val === 'string' ? val : val?.value;
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error("Expected variable name");
+    }
+    return name;
+}
+
+/**
+ * Map key for an exponent vector
+ */
+function expKey(exps) {
+    return exps.join(",");
+}
+
+/**
+ * Build a multivariate polynomial object, dropping zero terms
+ * terms: iterable of { exps: number[], coeff: Rational }
+ */
+function makePolyMV(variables, terms, order = "grevlex") {
+    const termMap = new Map();
+    for (const { exps, coeff } of terms) {
+        const key = expKey(exps);
+        const existing = termMap.get(key);
+        const sum = existing ? existing.coeff.add(coeff) : coeff;
+        if (sum.numerator === 0n) {
+            termMap.delete(key);
+        } else {
+            termMap.set(key, { exps, coeff: sum });
+        }
+    }
+
+    let degree = -1;
+    for (const { exps } of termMap.values()) {
+        const total = exps.reduce((a, b) => a + b, 0);
+        if (total > degree) degree = total;
+    }
+
+    return {
+        type: 'polymv',
+        variables: variables,
+        terms: termMap,
+        degree: degree,
+        order: order
+    };
+}
+
+/**
+ * Coerce a multivariate polynomial, univariate polynomial, coefficient sequence
+ * or scalar to a multivariate polynomial
+ */
+function toPolyMV(val) {
+    if (val?.type === 'polymv') return val;
+    if (val?.type === 'polynomial' || val?.type === 'sequence') {
+        const coeffs = PolynomialFunctions.PolyCoeffs.handler(val);
+        const values = coeffs.values ?? coeffs;
+        const variable = val.variable || "x";
+        return makePolyMV([variable], values.map((c, i) => ({ exps: [i], coeff: toRational(c) })));
+    }
+    return makePolyMV([], [{ exps: [], coeff: toRational(val) }]);
+}
+
+/**
+ * Re-express a polynomial over a larger variable list
+ */
+function extendVariables(p, variables) {
+    const positions = p.variables.map(v => variables.indexOf(v));
+    const terms = [];
+    for (const { exps, coeff } of p.terms.values()) {
+        const newExps = Array(variables.length).fill(0);
+        positions.forEach((pos, i) => { newExps[pos] = exps[i]; });
+        terms.push({ exps: newExps, coeff });
+    }
+    return makePolyMV(variables, terms, p.order);
+}
+
+/**
+ * Bring two polynomials onto a common variable list (first operand's variables first)
+ */
+function unify(p, q) {
+    const variables = [...p.variables];
+    for (const v of q.variables) {
+        if (!variables.includes(v)) variables.push(v);
+    }
+    return [extendVariables(p, variables), extendVariables(q, variables), variables];
+}
+
+/**
+ * Monomial comparison: positive if a > b in the given order
+ */
+function compareMonomials(a, b, order) {
+    if (order === "grevlex") {
+        const degA = a.reduce((s, e) => s + e, 0);
+        const degB = b.reduce((s, e) => s + e, 0);
+        if (degA !== degB) return degA - degB;
+        // Ties: the monomial with the smaller exponent in the last differing variable wins
+        for (let i = a.length - 1; i >= 0; i--) {
+            if (a[i] !== b[i]) return b[i] - a[i];
+        }
+        return 0;
+    }
+    if (order === "lex") {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+    throw new Error(`Unknown term order: ${order} (use "lex" or "grevlex")`);
+}
+
+/**
+ * Terms sorted from largest to smallest in the given order
+ */
+function sortedTerms(p, order) {
+    return [...p.terms.values()].sort((s, t) => compareMonomials(t.exps, s.exps, order));
+}
+
+/**
+ * Term as a sequence {coeff, e₁, e₂, ...}
+ */
+function termSequence({ exps, coeff }) {
+    const values = [coeff, ...exps.map(e => new Integer(BigInt(e)))];
+    return {
+        type: 'sequence',
+        values: values,
+        lastValue: values[values.length - 1]
+    };
+}
+
+/**
+ * Multiply two polynomials on a common variable list
+ */
+function mulPolyMV(p, q) {
+    const [a, b, variables] = unify(p, q);
+    const terms = [];
+    for (const s of a.terms.values()) {
+        for (const t of b.terms.values()) {
+            terms.push({
+                exps: s.exps.map((e, i) => e + t.exps[i]),
+                coeff: s.coeff.multiply(t.coeff)
+            });
+        }
+    }
+    return makePolyMV(variables, terms, p.order);
+}
+
+/**
+ * Integer power of a rational
+ */
+function ratPow(x, n) {
+    let result = new Rational(1n, 1n);
+    for (let i = 0; i < n; i++) result = result.multiply(x);
+    return result;
+}
+
+export const PolyMVFunctions = {
+    /**
+     * Create multivariate polynomial from terms
+     * PolyMV({{3, 2, 1}, {-1, 0, 2}}, {"x", "y"}) creates 3x²y - y²
+     */
+    PolyMV: {
+        type: 'js',
+        handler: function (terms, vars, order) {
+            if (vars?.type !== 'sequence' || vars.values.length === 0) {
+                throw new Error("PolyMV requires a sequence of variable names");
+            }
+            const variables = vars.values.map(toVarName);
+            if (new Set(variables).size !== variables.length) {
+                throw new Error("PolyMV variable names must be distinct");
+            }
+            if (terms?.type !== 'sequence') {
+                throw new Error("PolyMV requires a sequence of terms {coeff, e₁, e₂, ...}");
+            }
+
+            const parsed = terms.values.map(term => {
+                if (term?.type !== 'sequence' || term.values.length !== variables.length + 1) {
+                    throw new Error(`Each term must be {coeff, e₁, ..., e${variables.length}}`);
+                }
+                const [coeff, ...exps] = term.values;
+                return { exps: exps.map(e => toExponent(e)), coeff: toRational(coeff) };
+            });
+
+            const orderName = order !== undefined ? toVarName(order) : "grevlex";
+            compareMonomials([], [], orderName);
+            return makePolyMV(variables, parsed, orderName);
+        },
+        params: ["terms", "vars", "order?"],
+        doc: "Create multivariate polynomial from terms {coeff, e₁, e₂, ...} in variables {\"x\", \"y\", ...}"
+    },
+
+    /**
+     * Convert a univariate polynomial to multivariate form
+     */
+    PolyMVFromPoly: {
+        type: 'js',
+        handler: function (poly) {
+            return toPolyMV(poly);
+        },
+        params: ["poly"],
+        doc: "Convert a univariate polynomial to a multivariate polynomial in its variable"
+    },
+
+    /**
+     * Convert back to a univariate polynomial
+     */
+    PolyMVToPoly: {
+        type: 'js',
+        handler: function (p) {
+            const mv = toPolyMV(p);
+
+            // Only one variable may actually occur
+            const used = mv.variables.filter((_, i) =>
+                [...mv.terms.values()].some(t => t.exps[i] > 0)
+            );
+            if (used.length > 1) {
+                throw new Error(`PolyMVToPoly requires a single variable, found ${used.join(", ")}`);
+            }
+            const variable = used[0] ?? mv.variables[0] ?? "x";
+            const index = mv.variables.indexOf(variable);
+
+            const coeffs = Array(Math.max(mv.degree, 0) + 1).fill(null).map(() => new Rational(0n, 1n));
+            for (const { exps, coeff } of mv.terms.values()) {
+                coeffs[index >= 0 ? exps[index] : 0] = coeff;
+            }
+
+            return PolynomialFunctions.Poly.handler({ type: 'sequence', values: coeffs }, variable);
+        },
+        params: ["p"],
+        doc: "Convert a multivariate polynomial in at most one variable to a univariate Poly"
+    },
+
+    /**
+     * Add multivariate polynomials
+     */
+    PolyMVAdd: {
+        type: 'js',
+        handler: function (p, q) {
+            const [a, b, variables] = unify(toPolyMV(p), toPolyMV(q));
+            return makePolyMV(variables, [...a.terms.values(), ...b.terms.values()], a.order);
+        },
+        params: ["p", "q"],
+        doc: "Add multivariate polynomials (variables are merged by name)"
+    },
+
+    /**
+     * Subtract multivariate polynomials
+     */
+    PolyMVSub: {
+        type: 'js',
+        handler: function (p, q) {
+            const [a, b, variables] = unify(toPolyMV(p), toPolyMV(q));
+            const negated = [...b.terms.values()].map(({ exps, coeff }) => ({ exps, coeff: coeff.negate() }));
+            return makePolyMV(variables, [...a.terms.values(), ...negated], a.order);
+        },
+        params: ["p", "q"],
+        doc: "Subtract multivariate polynomials: P - Q"
+    },
+
+    /**
+     * Multiply multivariate polynomials
+     */
+    PolyMVMul: {
+        type: 'js',
+        handler: function (p, q) {
+            return mulPolyMV(toPolyMV(p), toPolyMV(q));
+        },
+        params: ["p", "q"],
+        doc: "Multiply multivariate polynomials"
+    },
+
+    /**
+     * Evaluate at a point
+     */
+    PolyMVEval: {
+        type: 'js',
+        handler: function (p, point) {
+            const mv = toPolyMV(p);
+            const values = point?.type === 'sequence' ? point.values.map(toRational) : [toRational(point)];
+            if (values.length !== mv.variables.length) {
+                throw new Error(`PolyMVEval needs ${mv.variables.length} values, one per variable`);
+            }
+
+            let result = new Rational(0n, 1n);
+            for (const { exps, coeff } of mv.terms.values()) {
+                let term = coeff;
+                exps.forEach((e, i) => { term = term.multiply(ratPow(values[i], e)); });
+                result = result.add(term);
+            }
+            return result;
+        },
+        params: ["p", "point"],
+        doc: "Evaluate at a point {v₁, v₂, ...} given in variable order"
+    },
+
+    /**
+     * Partial substitution of one variable
+     */
+    PolyMVSubst: {
+        type: 'js',
+        handler: function (p, varName, value) {
+            const mv = toPolyMV(p);
+            const name = toVarName(varName);
+            const index = mv.variables.indexOf(name);
+            if (index < 0) {
+                throw new Error(`Unknown variable: ${name}`);
+            }
+            const v = toRational(value);
+
+            const variables = mv.variables.filter((_, i) => i !== index);
+            const terms = [...mv.terms.values()].map(({ exps, coeff }) => ({
+                exps: exps.filter((_, i) => i !== index),
+                coeff: coeff.multiply(ratPow(v, exps[index]))
+            }));
+            return makePolyMV(variables, terms, mv.order);
+        },
+        params: ["p", "var", "value"],
+        doc: "Substitute a value for one variable, removing it from the polynomial"
+    },
+
+    /**
+     * Partial derivative
+     */
+    PolyMVDer: {
+        type: 'js',
+        handler: function (p, varName, n) {
+            const mv = toPolyMV(p);
+            const name = toVarName(varName);
+            const index = mv.variables.indexOf(name);
+            if (index < 0) {
+                throw new Error(`Unknown variable: ${name}`);
+            }
+            const times = n !== undefined ? toExponent(n) : 1;
+
+            const terms = [];
+            for (const { exps, coeff } of mv.terms.values()) {
+                if (exps[index] < times) continue;
+                let factor = coeff;
+                for (let k = 0; k < times; k++) {
+                    factor = factor.multiply(new Rational(BigInt(exps[index] - k), 1n));
+                }
+                const newExps = [...exps];
+                newExps[index] -= times;
+                terms.push({ exps: newExps, coeff: factor });
+            }
+            return makePolyMV(mv.variables, terms, mv.order);
+        },
+        params: ["p", "var", "n?"],
+        doc: "nth partial derivative with respect to the named variable (default n=1)"
+    },
+
+    /**
+     * Total degree
+     */
+    PolyMVDeg: {
+        type: 'js',
+        handler: function (p, varName) {
+            const mv = toPolyMV(p);
+            if (varName === undefined) {
+                return new Integer(BigInt(mv.degree));
+            }
+            const index = mv.variables.indexOf(toVarName(varName));
+            if (index < 0) return new Integer(mv.terms.size > 0 ? 0n : -1n);
+            let degree = -1;
+            for (const { exps } of mv.terms.values()) {
+                if (exps[index] > degree) degree = exps[index];
+            }
+            return new Integer(BigInt(degree));
+        },
+        params: ["p", "var?"],
+        doc: "Total degree, or degree in the named variable (zero polynomial: -1)"
+    },
+
+    /**
+     * Terms in a term order
+     */
+    PolyMVTerms: {
+        type: 'js',
+        handler: function (p, order) {
+            const mv = toPolyMV(p);
+            const orderName = order !== undefined ? toVarName(order) : mv.order;
+            const values = sortedTerms(mv, orderName).map(termSequence);
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined
+            };
+        },
+        params: ["p", "order?"],
+        doc: "Terms {coeff, e₁, e₂, ...} from largest to smallest in \"lex\" or \"grevlex\" order"
+    },
+
+    /**
+     * Leading term in a term order
+     */
+    PolyMVLeading: {
+        type: 'js',
+        handler: function (p, order) {
+            const mv = toPolyMV(p);
+            const orderName = order !== undefined ? toVarName(order) : mv.order;
+            if (mv.terms.size === 0) {
+                throw new Error("Zero polynomial has no leading term");
+            }
+            return termSequence(sortedTerms(mv, orderName)[0]);
+        },
+        params: ["p", "order?"],
+        doc: "Leading term {coeff, e₁, e₂, ...} in \"lex\" or \"grevlex\" order"
+    },
+};
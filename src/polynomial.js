@@ -5,7 +5,11 @@
  * Includes synthetic division, Taylor rebasing, and root analysis.
  */
 
-import { Integer, Rational } from "@ratmath/core";
+import { Integer, Rational, RationalInterval } from "@ratmath/core";
+import { gcdBigInt, lcmBigInt, isPrimeBigInt, factorBigInt } from "./bigint-utils.js";
+import { modP, invP, trimP, addP, subP, mulP, scaleP, monicP, divideP, gcdP, extGcdP, derivP, factorP } from "./gfp-utils.js";
+import { NumberTheory } from "./number-theory.js";
+import { toRational, toExponent } from "./convert.js";
 
 /**
  * Extract coefficient array from a polynomial object or sequence
@@ -22,17 +26,6 @@ function extractCoeffs(poly) {
     throw new Error("Expected polynomial or coefficient sequence");
 }
 
-/**
- * Convert value to Rational
- */
-function toRational(val) {
-    if (val instanceof Rational) return val;
-    if (val instanceof Integer) return new Rational(val.value, 1n);
-    if (typeof val === 'bigint') return new Rational(val, 1n);
-    if (typeof val === 'number') return new Rational(BigInt(Math.floor(val)), 1n);
-    throw new Error(`Cannot convert ${typeof val} to Rational`);
-}
-
 /**
  * Create coefficient sequence from array
  */
@@ -177,401 +170,3758 @@ function synthDivide(coeffs, c) {
     return { quotient, remainder };
 }
 
-export const PolynomialFunctions = {
-    /**
-     * Create polynomial from coefficient sequence
-     */
-    Poly: {
-        type: 'js',
-        handler: function (coeffs, varName) {
-            const coeffArray = extractCoeffs(coeffs);
-            const trimmed = trimCoeffs(coeffArray);
-            const degree = trimmed.length - 1;
-            const variable = varName?.value || varName || "x";
-            
-            // Create a callable function object
-            const polyFunc = {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: degree,
-                variable: variable,
-                // Make it callable for evaluation
-                call: (x) => hornerEval(trimmed, x)
-            };
-            
-            return polyFunc;
-        },
-        params: ["coeffs", "var?"],
-        doc: "Create polynomial from coefficients {a₀, a₁, ...} in ascending order"
-    },
+/**
+ * Synthetic division tableau for display.
+ * Works on descending coefficients; rows record the bottom line after the
+ * initial bring-down and after each multiply and add stage.
+ */
+function synthDivTableau(coeffs, c, variable) {
+    const desc = [...coeffs].reverse();
+    const n = desc.length;
+    const state = Array(n).fill(null).map(() => new Rational(0n, 1n));
+    const rows = [];
+    const snapshot = (stage) => ({
+        type: 'sequence',
+        values: [...state],
+        lastValue: state[n - 1],
+        stage: stage
+    });
+    
+    state[0] = desc[0];
+    rows.push(snapshot("initial"));
+    for (let i = 1; i < n; i++) {
+        state[i] = state[i - 1].multiply(c);
+        rows.push(snapshot("multiply"));
+        state[i] = state[i].add(desc[i]);
+        rows.push(snapshot("add"));
+    }
+    
+    const quotient = makePoly(state.slice(0, n - 1).reverse(), variable);
+    const remainder = state[n - 1];
+    const coeffSeq = makeCoeffSequence(desc);
+    const rowSeq = { type: 'sequence', values: rows, lastValue: rows[rows.length - 1] };
+    
+    return {
+        type: 'sequence',
+        values: [c, coeffSeq, rowSeq, quotient, remainder],
+        lastValue: remainder,
+        divisor: c,
+        coeffs: coeffSeq,
+        rows: rowSeq,
+        quotient: quotient,
+        remainder: remainder
+    };
+}
 
-    /**
-     * Create sparse polynomial from (coeff, degree) pairs
-     * PolySparse(5, 10, 3, 2, 1, 0) creates 5x^10 + 3x^2 + 1
-     */
-    PolySparse: {
-        type: 'js',
-        handler: function () {
-            // Get all arguments via @@ sequence
-            const allArgs = this._currentCallScope?.get("@@");
-            if (!allArgs || allArgs.type !== 'sequence' || allArgs.values.length < 2) {
-                throw new Error("PolySparse requires pairs of (coefficient, degree)");
+/**
+ * Taylor coefficients of P at a, i.e. the coefficients of P(x + a),
+ * by repeated synthetic division by (x - a)
+ */
+function taylorShift(coeffs, a) {
+    const taylorCoeffs = [];
+    let current = coeffs;
+    
+    for (let i = 0; i < coeffs.length; i++) {
+        const { quotient, remainder } = synthDivide(current, a);
+        taylorCoeffs.push(remainder);
+        current = quotient;
+    }
+    
+    return taylorCoeffs;
+}
+
+/**
+ * Check whether a coefficient array represents the zero polynomial
+ */
+function isZeroPoly(coeffs) {
+    return coeffs.every(c => c.numerator === 0n);
+}
+
+/**
+ * Superscript digits for exponents
+ */
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+function superscript(n) {
+    return String(n).split("").map(d => SUPERSCRIPTS[d]).join("");
+}
+
+/**
+ * Render terms [{ power, coeff }] as text, e.g. "3x² - 2x + 1"
+ * options: { variable, base, order: "descending" | "ascending", style: "unicode" | "caret" }
+ * A nonzero base renders powers of (x - base), as produced by PolyRebase.
+ */
+function formatTerms(terms, options = {}) {
+    const variable = options.variable || "x";
+    const base = options.base;
+    const caret = options.style === "caret";
+    
+    let atom = variable;
+    if (base && base.numerator !== 0n) {
+        const sign = base.numerator < 0n ? "+" : "-";
+        atom = `(${variable} ${sign} ${base.abs().toString()})`;
+    }
+    
+    const nonzero = terms
+        .filter(t => t.coeff.numerator !== 0n)
+        .sort((s, t) => options.order === "ascending" ? s.power - t.power : t.power - s.power);
+    if (nonzero.length === 0) return "0";
+    
+    return nonzero.map(({ power, coeff }, i) => {
+        const negative = coeff.numerator < 0n;
+        const magnitude = coeff.abs();
+        const isOne = magnitude.numerator === 1n && magnitude.denominator === 1n;
+        
+        let monomial = "";
+        if (power >= 1) {
+            monomial = atom;
+            if (power > 1) monomial += caret ? `^${power}` : superscript(power);
+        }
+        const coeffText = power >= 1 && isOne ? "" : magnitude.toString();
+        const body = coeffText + monomial;
+        
+        if (i === 0) return negative ? `-${body}` : body;
+        return negative ? ` - ${body}` : ` + ${body}`;
+    }).join("");
+}
+
+/**
+ * Render dense ascending coefficients as text
+ */
+function formatPoly(coeffs, options = {}) {
+    return formatTerms(coeffs.map((coeff, power) => ({ power, coeff })), options);
+}
+
+/**
+ * Parse PolyToString options: a flag or sequence of flags
+ * ("descending", "ascending", "unicode", "caret")
+ */
+function toDisplayOptions(options) {
+    if (options === undefined) return {};
+    const flags = options?.type === 'sequence' ? options.values : [options];
+    const result = {};
+    for (const flag of flags) {
+        const name = flag?.value ?? flag;
+        if (name === "ascending" || name === "descending") {
+            result.order = name;
+        } else if (name === "unicode" || name === "caret") {
+            result.style = name;
+        } else {
+            throw new Error(`Unknown display option: ${name} (use "ascending", "descending", "unicode" or "caret")`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Tokenize polynomial text. Letters are single-letter names unless they spell
+ * the requested variable; Unicode superscripts, "−" and "·" are accepted so that
+ * PolyToString output parses back.
+ */
+function tokenizePoly(text, variable) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (/[0-9.]/.test(ch)) {
+            const match = /^[0-9]*\.?[0-9]*/.exec(text.slice(i))[0];
+            if (match === ".") {
+                throw new Error(`PolyParse: unexpected "." at position ${i}`);
             }
-            
-            const args = allArgs.values;
-            if (args.length % 2 !== 0) {
-                throw new Error("PolySparse requires pairs of (coefficient, degree)");
+            const [whole, frac = ""] = match.split(".");
+            const scale = 10n ** BigInt(frac.length);
+            const value = new Rational(BigInt(whole || "0") * scale + BigInt(frac || "0"), scale);
+            tokens.push({ kind: 'number', value, pos: i });
+            i += match.length;
+            if (text[i] === ".") {
+                throw new Error(`PolyParse: second "." in a number at position ${i}`);
             }
-            
-            // Build sparse representation: Map<degree, coefficient>
-            const sparseTerms = new Map();
-            let maxDegree = 0;
-            
-            for (let i = 0; i < args.length; i += 2) {
-                const coeff = toRational(args[i]);
-                const deg = Number(args[i + 1] instanceof Integer ? args[i + 1].value : args[i + 1]);
-                
-                if (deg < 0) {
-                    throw new Error("Polynomial degree must be non-negative");
+        } else if (SUPERSCRIPTS.includes(ch)) {
+            const start = i;
+            let digits = "";
+            while (i < text.length && SUPERSCRIPTS.includes(text[i])) {
+                digits += SUPERSCRIPTS.indexOf(text[i]);
+                i++;
+            }
+            tokens.push({ kind: 'superscript', value: Number(digits), pos: start });
+        } else if (/[A-Za-z]/.test(ch)) {
+            const name = variable && text.startsWith(variable, i) ? variable : ch;
+            tokens.push({ kind: 'name', value: name, pos: i });
+            i += name.length;
+        } else if ("+-−*·/^()".includes(ch)) {
+            const op = ch === "−" ? "-" : ch === "·" ? "*" : ch;
+            tokens.push({ kind: op, pos: i });
+            i++;
+        } else {
+            throw new Error(`PolyParse: unexpected "${ch}" at position ${i}`);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse polynomial text into sparse terms by recursive descent:
+ *   expr   := term (("+" | "-") term)*
+ *   term   := unary (("*" | "/" | implicit) unary)*
+ *   unary  := ("+" | "-") unary | power
+ *   power  := atom ("^" integer | superscript)?
+ *   atom   := number | variable | "(" expr ")"
+ * Returns { terms, variable }; the variable is the first name seen unless given.
+ * Terms stay sparse, so "x^1000000 + 1" is cheap.
+ */
+function parsePoly(text, variable) {
+    const tokens = tokenizePoly(text, variable);
+    let pos = 0;
+    let name = variable;
+    
+    const peek = () => tokens[pos];
+    const fail = (message, at = peek()?.pos) => {
+        at = at === undefined ? " at end of input" : ` at position ${at}`;
+        throw new Error(`PolyParse: ${message}${at}`);
+    };
+    const startsAtom = (tok) => tok && (tok.kind === 'number' || tok.kind === 'name' || tok.kind === '(');
+    
+    const parseAtom = () => {
+        const tok = peek();
+        if (!tok) fail("expected a term");
+        pos++;
+        if (tok.kind === 'number') return tok.value.numerator === 0n ? new Map() : new Map([[0, tok.value]]);
+        if (tok.kind === 'name') {
+            if (name === undefined) name = tok.value;
+            if (tok.value !== name) {
+                pos--;
+                fail(`unknown variable "${tok.value}" (polynomial is in ${name})`);
+            }
+            return new Map([[1, new Rational(1n, 1n)]]);
+        }
+        if (tok.kind === '(') {
+            const inner = parseExpr();
+            if (peek()?.kind !== ')') fail('expected ")"');
+            pos++;
+            return inner;
+        }
+        pos--;
+        fail(`unexpected "${tok.kind}"`);
+    };
+    
+    const parsePower = () => {
+        const base = parseAtom();
+        const exponentPos = peek()?.pos;
+        let exponent;
+        if (peek()?.kind === '^') {
+            pos++;
+            const tok = peek();
+            if (tok?.kind !== 'number' || tok.value.denominator !== 1n) {
+                fail("exponent must be a non-negative integer");
+            }
+            pos++;
+            exponent = Number(tok.value.numerator);
+        } else if (peek()?.kind === 'superscript') {
+            exponent = peek().value;
+            pos++;
+        }
+        if (exponent === undefined) return base;
+        
+        const degree = termsDegree(base);
+        if (!Number.isSafeInteger(exponent) || exponent > MAX_DEGREE || degree * exponent > MAX_DEGREE) {
+            fail(`power exceeds the maximum degree ${MAX_DEGREE}`, exponentPos);
+        }
+        return powTerms(base, exponent);
+    };
+    
+    const parseUnary = () => {
+        const tok = peek();
+        if (tok?.kind === '-') {
+            pos++;
+            return scaleTerms(parseUnary(), new Rational(-1n, 1n));
+        }
+        if (tok?.kind === '+') {
+            pos++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+    
+    const parseTerm = () => {
+        let result = parseUnary();
+        for (;;) {
+            const tok = peek();
+            if (tok?.kind === '*') {
+                pos++;
+                result = mulTerms(result, parseUnary());
+            } else if (tok?.kind === '/') {
+                pos++;
+                const divisor = parseUnary();
+                if (termsDegree(divisor) > 0) {
+                    pos--;
+                    fail("can only divide by a constant");
                 }
-                
-                if (coeff.numerator !== 0n) {
-                    sparseTerms.set(deg, coeff);
-                    if (deg > maxDegree) maxDegree = deg;
+                if (divisor.size === 0) {
+                    pos--;
+                    fail("division by zero");
                 }
+                result = scaleTerms(result, divisor.get(0).reciprocal());
+            } else if (startsAtom(tok)) {
+                // Implicit multiplication: 3x, 2(x - 1), (x + 1)(x - 1), but never
+                // a number on the right: "3 4" and "3x2" are typos, not products
+                if (tok.kind === 'number') fail("missing operator before a number");
+                result = mulTerms(result, parsePower());
+            } else {
+                return result;
             }
-            
-            // Create polynomial with sparse representation
-            const polyFunc = {
-                type: 'polynomial',
-                sparse: true,
-                terms: sparseTerms,  // Map<degree, coefficient>
-                degree: maxDegree,
-                variable: "x",
-                // Convert to dense coefficients on demand
-                get coeffs() {
-                    const dense = [];
-                    for (let i = 0; i <= this.degree; i++) {
-                        dense.push(this.terms.get(i) || new Rational(0n, 1n));
-                    }
-                    return makeCoeffSequence(dense);
-                },
-                // Optimized sparse evaluation
-                call: (x) => sparseEval(sparseTerms, x)
-            };
-            
-            return polyFunc;
-        },
-        params: ["coeff1", "deg1", "..."],
-        doc: "Create sparse polynomial: PolySparse(5, 10, 3, 2, 1, 0) → 5x¹⁰ + 3x² + 1"
-    },
-
-    /**
-     * Evaluate sparse polynomial efficiently
-     * Uses binary exponentiation for computing powers
-     */
-    PolySparseEval: {
-        type: 'js',
-        handler: function (poly, x) {
-            if (poly?.sparse && poly?.terms) {
-                return sparseEval(poly.terms, x);
+        }
+    };
+    
+    const parseExpr = () => {
+        let result = parseTerm();
+        for (;;) {
+            const tok = peek();
+            if (tok?.kind === '+') {
+                pos++;
+                result = addTerms(result, parseTerm());
+            } else if (tok?.kind === '-') {
+                pos++;
+                result = subTerms(result, parseTerm());
+            } else {
+                return result;
             }
-            // Fall back to regular evaluation for dense polynomials
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            return hornerEval(coeffs, x);
-        },
-        params: ["poly", "x"],
-        doc: "Evaluate polynomial, optimized for sparse polynomials"
-    },
+        }
+    };
+    
+    if (tokens.length === 0) {
+        throw new Error("PolyParse: empty expression");
+    }
+    const terms = parseExpr();
+    if (pos < tokens.length) fail(`unexpected "${text[peek().pos]}"`);
+    return { terms, variable: name || "x" };
+}
 
-    /**
-     * Get polynomial degree
-     */
-    PolyDeg: {
-        type: 'js',
-        handler: function (poly) {
-            if (poly?.degree !== undefined) {
-                return new Integer(BigInt(poly.degree));
-            }
-            const coeffs = extractCoeffs(poly);
-            const trimmed = trimCoeffs(coeffs);
-            return new Integer(BigInt(trimmed.length - 1));
-        },
-        params: ["poly"],
-        doc: "Returns the degree of the polynomial"
-    },
+/**
+ * Build a polynomial object (as produced by Poly) from ascending coefficients
+ */
+function makePoly(coeffs, variable = "x") {
+    const trimmed = coeffs.length > 0 ? trimCoeffs(coeffs) : [new Rational(0n, 1n)];
+    return {
+        type: 'polynomial',
+        coeffs: makeCoeffSequence(trimmed),
+        degree: isZeroPoly(trimmed) ? -1 : trimmed.length - 1,
+        variable: variable,
+        call: (x) => hornerEval(trimmed, x),
+        toString() {
+            return formatPoly(trimmed, { variable: this.variable, base: this.base });
+        }
+    };
+}
 
-    /**
-     * Get polynomial coefficients
-     */
-    PolyCoeffs: {
-        type: 'js',
-        handler: function (poly) {
-            if (poly?.coeffs) {
-                return poly.coeffs;
-            }
-            return extractCoeffs(poly);
-        },
-        params: ["poly"],
-        doc: "Returns the coefficient sequence of the polynomial"
-    },
+/**
+ * Results use the sparse representation once the degree reaches SPARSE_MIN_DEGREE
+ * and fewer than SPARSE_FILL_RATIO of the coefficients are nonzero
+ */
+const SPARSE_MIN_DEGREE = 32;
+const SPARSE_FILL_RATIO = 1 / 4;
 
-    /**
-     * Get specific coefficient
-     */
-    PolyCoeff: {
-        type: 'js',
-        handler: function (poly, n) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            const idx = Number(n instanceof Integer ? n.value : n);
-            if (idx < 0 || idx >= coeffs.length) {
-                return new Rational(0n, 1n);
-            }
-            return coeffs[idx];
-        },
-        params: ["poly", "n"],
-        doc: "Returns the nth coefficient (0-indexed, ascending)"
-    },
+/**
+ * Largest degree a power may produce; exponents beyond it are rejected rather than
+ * run through powTerms (degrees are JS numbers, exact only up to 2⁵³)
+ */
+const MAX_DEGREE = 2 ** 30;
 
-    /**
-     * Evaluate polynomial at x
-     */
-    PolyEval: {
-        type: 'js',
-        handler: function (poly, x) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            return hornerEval(coeffs, x);
-        },
-        params: ["poly", "x"],
-        doc: "Evaluate polynomial at x"
-    },
+/**
+ * Largest degree a sparse polynomial is expanded to for operations without a sparse
+ * path (GCD, resultants, factoring, roots, ...); above it they throw instead of
+ * allocating millions of zero coefficients
+ */
+const DENSE_MAX_DEGREE = 2 ** 16;
 
-    /**
-     * Horner's method evaluation (optionally with steps)
-     */
-    PolyHorner: {
-        type: 'js',
-        handler: function (poly, x, showSteps) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            const xRat = toRational(x);
-            
-            if (!showSteps) {
-                return hornerEval(coeffs, x);
+function isSparsePoly(poly) {
+    return poly?.sparse === true && poly?.terms instanceof Map;
+}
+
+/**
+ * Nonzero terms of any polynomial input as Map<degree, coefficient>,
+ * without materializing dense coefficients for sparse inputs
+ */
+function extractTerms(poly) {
+    if (isSparsePoly(poly)) return poly.terms;
+    const terms = new Map();
+    extractCoeffs(poly?.coeffs || poly).forEach((c, k) => {
+        if (c.numerator !== 0n) terms.set(k, c);
+    });
+    return terms;
+}
+
+function termsDegree(terms) {
+    let degree = -1;
+    for (const k of terms.keys()) {
+        if (k > degree) degree = k;
+    }
+    return degree;
+}
+
+/**
+ * Build a sparse polynomial object (as produced by PolySparse)
+ */
+function makeSparsePoly(terms, variable = "x") {
+    return {
+        type: 'polynomial',
+        sparse: true,
+        terms: terms,  // Map<degree, coefficient>
+        degree: termsDegree(terms),
+        variable: variable,
+        // Convert to dense coefficients on demand
+        get coeffs() {
+            if (this.degree > DENSE_MAX_DEGREE) {
+                throw new Error(`Sparse polynomial of degree ${this.degree} exceeds ${DENSE_MAX_DEGREE}, the largest degree `
+                    + "expanded to dense coefficients; only arithmetic, calculus, division, composition, "
+                    + "evaluation and content functions accept it");
             }
-            
-            // With steps
-            const steps = [];
-            let result = coeffs[coeffs.length - 1];
-            steps.push({ step: 0, value: result });
-            
-            for (let i = coeffs.length - 2; i >= 0; i--) {
-                result = result.multiply(xRat).add(coeffs[i]);
-                steps.push({ step: coeffs.length - 1 - i, value: result });
+            const dense = [];
+            for (let i = 0; i <= Math.max(this.degree, 0); i++) {
+                dense.push(this.terms.get(i) || new Rational(0n, 1n));
             }
-            
-            return {
-                type: 'sequence',
-                values: steps.map(s => s.value),
-                lastValue: result,
-                result: result
-            };
+            return makeCoeffSequence(dense);
         },
-        params: ["poly", "x", "showSteps?"],
-        doc: "Evaluate using Horner's method, optionally showing steps"
-    },
-
-    /**
+        // Optimized sparse evaluation
+        call: (x) => sparseEval(terms, x),
+        toString() {
+            const list = [...this.terms].map(([power, coeff]) => ({ power, coeff }));
+            return formatTerms(list, { variable: this.variable });
+        }
+    };
+}
+
+/**
+ * Build a polynomial from terms, choosing the dense or sparse representation by fill ratio
+ */
+function makePolyFromTerms(terms, variable = "x") {
+    const degree = termsDegree(terms);
+    if (degree >= SPARSE_MIN_DEGREE && terms.size < SPARSE_FILL_RATIO * (degree + 1)) {
+        return makeSparsePoly(terms, variable);
+    }
+    const dense = Array(Math.max(degree + 1, 1)).fill(null).map(() => new Rational(0n, 1n));
+    for (const [k, c] of terms) dense[k] = c;
+    return makePoly(dense, variable);
+}
+
+/**
+ * Build a polynomial from dense coefficients, choosing the representation by fill ratio
+ */
+function makePolyAuto(coeffs, variable = "x") {
+    const terms = new Map();
+    coeffs.forEach((c, k) => {
+        if (c.numerator !== 0n) terms.set(k, c);
+    });
+    return makePolyFromTerms(terms, variable);
+}
+
+/**
+ * Add c·xᵏ into a term map, dropping cancelled terms
+ */
+function accumulateTerm(terms, k, c) {
+    const sum = terms.has(k) ? terms.get(k).add(c) : c;
+    if (sum.numerator === 0n) {
+        terms.delete(k);
+    } else {
+        terms.set(k, sum);
+    }
+}
+
+function addTerms(a, b) {
+    const result = new Map(a);
+    for (const [k, c] of b) accumulateTerm(result, k, c);
+    return result;
+}
+
+function subTerms(a, b) {
+    const result = new Map(a);
+    for (const [k, c] of b) accumulateTerm(result, k, c.negate());
+    return result;
+}
+
+function mulTerms(a, b) {
+    const result = new Map();
+    for (const [i, c] of a) {
+        for (const [j, d] of b) accumulateTerm(result, i + j, c.multiply(d));
+    }
+    return result;
+}
+
+function scaleTerms(a, c) {
+    const result = new Map();
+    if (c.numerator === 0n) return result;
+    for (const [k, coeff] of a) result.set(k, coeff.multiply(c));
+    return result;
+}
+
+function powTerms(a, n) {
+    let result = new Map([[0, new Rational(1n, 1n)]]);
+    let base = a;
+    while (n > 0) {
+        if (n % 2 === 1) result = mulTerms(result, base);
+        n = Math.floor(n / 2);
+        if (n > 0) base = mulTerms(base, base);
+    }
+    return result;
+}
+
+/**
+ * nth derivative: c·xᵏ ↦ c·k(k-1)···(k-n+1)·xᵏ⁻ⁿ
+ */
+function derivTerms(a, n) {
+    const result = new Map();
+    for (const [k, c] of a) {
+        if (k < n) continue;
+        let factor = c;
+        for (let j = 0; j < n; j++) factor = factor.multiply(new Rational(BigInt(k - j), 1n));
+        result.set(k - n, factor);
+    }
+    return result;
+}
+
+/**
+ * Long division on term maps; cost follows the number of quotient terms, not the degree.
+ * The quotient is null when keepQuotient is false.
+ */
+function divideTerms(num, den, keepQuotient = true) {
+    const dDeg = termsDegree(den);
+    if (dDeg < 0) {
+        throw new Error("Polynomial division by zero");
+    }
+    const lead = den.get(dDeg);
+    const quotient = keepQuotient ? new Map() : null;
+    const remainder = new Map(num);
+    
+    for (let rDeg = termsDegree(remainder); rDeg >= dDeg; rDeg = termsDegree(remainder)) {
+        const c = remainder.get(rDeg).divide(lead);
+        const shift = rDeg - dDeg;
+        if (keepQuotient) quotient.set(shift, c);
+        for (const [k, d] of den) accumulateTerm(remainder, k + shift, c.multiply(d).negate());
+    }
+    return { quotient, remainder };
+}
+
+/**
+ * Variable of the result of a binary operation. A constant operand adopts the
+ * other operand's variable; two non-constant polynomials must agree.
+ */
+function commonVariable(p, q) {
+    const nonConstant = poly => poly?.variable && termsDegree(extractTerms(poly)) > 0;
+    if (nonConstant(p) && nonConstant(q) && p.variable !== q.variable) {
+        throw new Error(`Polynomials in different variables: ${p.variable} and ${q.variable}`);
+    }
+    if (nonConstant(q) && !nonConstant(p)) return q.variable;
+    return p?.variable || q?.variable || "x";
+}
+
+/**
+ * Divide polynomial inputs, staying sparse when either is sparse
+ */
+function dividePolys(p, q, keepQuotient) {
+    const variable = commonVariable(p, q);
+    if (isSparsePoly(p) || isSparsePoly(q)) {
+        const { quotient, remainder } = divideTerms(extractTerms(p), extractTerms(q), keepQuotient);
+        return {
+            quotient: quotient && makePolyFromTerms(quotient, variable),
+            remainder: makePolyFromTerms(remainder, variable)
+        };
+    }
+    const { quotient, remainder } = polyDivide(extractCoeffs(p?.coeffs || p), extractCoeffs(q?.coeffs || q));
+    return {
+        quotient: makePolyAuto(quotient, variable),
+        remainder: makePolyAuto(remainder, variable)
+    };
+}
+
+/**
+ * P(Q) by Horner's scheme over the nonzero terms, powering Q across gaps in degree
+ */
+function composeTerms(p, q) {
+    const degrees = [...p.keys()].sort((a, b) => b - a);
+    if (degrees.length === 0) return new Map();
+    let result = new Map([[0, p.get(degrees[0])]]);
+    for (let i = 1; i <= degrees.length; i++) {
+        const next = i < degrees.length ? degrees[i] : 0;
+        result = mulTerms(result, powTerms(q, degrees[i - 1] - next));
+        if (i < degrees.length) accumulateTerm(result, 0, p.get(next));
+    }
+    return result;
+}
+
+/**
+ * Polynomial long division over Q
+ * Returns { quotient: coeffs[], remainder: coeffs[] } with num = quotient * den + remainder
+ */
+function polyDivide(num, den) {
+    const divisor = trimCoeffs(den);
+    if (divisor.length === 0 || isZeroPoly(divisor)) {
+        throw new Error("Polynomial division by zero");
+    }
+    
+    const remainder = num.length > 0 ? [...trimCoeffs(num)] : [new Rational(0n, 1n)];
+    const dDeg = divisor.length - 1;
+    const lead = divisor[dDeg];
+    
+    if (remainder.length - 1 < dDeg || isZeroPoly(remainder)) {
+        return { quotient: [new Rational(0n, 1n)], remainder: remainder };
+    }
+    
+    const quotient = Array(remainder.length - dDeg).fill(null).map(() => new Rational(0n, 1n));
+    
+    // Eliminate the leading term at each step, highest degree first
+    for (let k = remainder.length - 1 - dDeg; k >= 0; k--) {
+        const factor = remainder[k + dDeg].divide(lead);
+        quotient[k] = factor;
+        if (factor.numerator === 0n) continue;
+        for (let j = 0; j <= dDeg; j++) {
+            remainder[k + j] = remainder[k + j].subtract(factor.multiply(divisor[j]));
+        }
+    }
+    
+    return {
+        quotient: trimCoeffs(quotient),
+        remainder: dDeg === 0 ? [new Rational(0n, 1n)] : trimCoeffs(remainder.slice(0, dDeg))
+    };
+}
+
+/**
+ * Coefficient-wise arithmetic on ascending Rational arrays
+ */
+function addCoeffs(a, b) {
+    const result = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const aVal = i < a.length ? a[i] : new Rational(0n, 1n);
+        const bVal = i < b.length ? b[i] : new Rational(0n, 1n);
+        result.push(aVal.add(bVal));
+    }
+    return trimCoeffs(result);
+}
+
+function subCoeffs(a, b) {
+    return addCoeffs(a, b.map(c => c.negate()));
+}
+
+/**
+ * Multiplication thresholds, by the length of the shorter factor, read off
+ * bench/poly-mul.js: clearing denominators pays off from two coefficients on,
+ * and Kronecker substitution beats Karatsuba from 16. Schoolbook on Rationals is
+ * kept for scalar factors only. KARATSUBA_THRESHOLD is where Karatsuba recursion
+ * falls back to integer schoolbook; below KRONECKER_THRESHOLD "auto" never
+ * recurses, so it only affects an explicit "karatsuba".
+ */
+const FAST_MUL_THRESHOLD = 2;
+const KARATSUBA_THRESHOLD = 16;
+const KRONECKER_THRESHOLD = 16;
+const MUL_METHODS = ["auto", "schoolbook", "karatsuba", "kronecker"];
+
+function mulCoeffs(a, b, method = "auto") {
+    if (a.length === 0 || b.length === 0) return [new Rational(0n, 1n)];
+    const size = Math.min(a.length, b.length);
+    if (method === "auto") {
+        method = size >= KRONECKER_THRESHOLD ? "kronecker"
+            : size >= FAST_MUL_THRESHOLD ? "karatsuba"
+            : "schoolbook";
+    }
+    if (method === "schoolbook") return mulCoeffsSchoolbook(a, b);
+    
+    // Common-denominator integer form: a = A/da, b = B/db, a·b = (A·B)/(da·db)
+    const [A, da] = toIntegerForm(a);
+    const [B, db] = toIntegerForm(b);
+    const product = method === "kronecker" ? kroneckerMulInt(A, B) : karatsubaMulInt(A, B);
+    const denom = da * db;
+    return trimCoeffs(product.map(c => new Rational(c, denom)));
+}
+
+/**
+ * Validate a PolyMul method name
+ */
+function toMulMethod(method) {
+    return toMethodName(method, MUL_METHODS, "multiplication");
+}
+
+function toMethodName(method, methods, kind) {
+    if (method === undefined) return "auto";
+    const name = method?.value ?? method;
+    if (!methods.includes(name)) {
+        throw new Error(`Unknown ${kind} method: ${name} (use ${methods.join(", ")})`);
+    }
+    return name;
+}
+
+function mulCoeffsSchoolbook(a, b) {
+    const result = Array(a.length + b.length - 1).fill(null).map(() => new Rational(0n, 1n));
+    for (let i = 0; i < a.length; i++) {
+        if (a[i].numerator === 0n) continue;
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] = result[i + j].add(a[i].multiply(b[j]));
+        }
+    }
+    return trimCoeffs(result);
+}
+
+/**
+ * Scale rational coefficients to integers over their least common denominator
+ * Returns [BigInt[], denominator]
+ */
+function toIntegerForm(coeffs) {
+    const denom = coeffs.reduce((l, c) => lcmBigInt(l, c.denominator), 1n);
+    return [coeffs.map(c => c.numerator * (denom / c.denominator)), denom];
+}
+
+function schoolbookMulInt(a, b) {
+    const result = Array(a.length + b.length - 1).fill(0n);
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === 0n) continue;
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] += a[i] * b[j];
+        }
+    }
+    return result;
+}
+
+/**
+ * Karatsuba on integer coefficient arrays:
+ * (a₀ + a₁xᵐ)(b₀ + b₁xᵐ) = z₀ + ((a₀ + a₁)(b₀ + b₁) - z₀ - z₂)xᵐ + z₂x²ᵐ
+ */
+function karatsubaMulInt(a, b) {
+    if (a.length === 0 || b.length === 0) return [];
+    if (Math.min(a.length, b.length) < KARATSUBA_THRESHOLD) return schoolbookMulInt(a, b);
+    
+    const m = Math.floor(Math.max(a.length, b.length) / 2);
+    const [a0, a1] = [a.slice(0, m), a.slice(m)];
+    const [b0, b1] = [b.slice(0, m), b.slice(m)];
+    const addInt = (x, y) => Array.from({ length: Math.max(x.length, y.length) }, (_, i) => (x[i] ?? 0n) + (y[i] ?? 0n));
+    
+    const z0 = karatsubaMulInt(a0, b0);
+    const z2 = karatsubaMulInt(a1, b1);
+    const z1 = karatsubaMulInt(addInt(a0, a1), addInt(b0, b1));
+    
+    const result = Array(a.length + b.length - 1).fill(0n);
+    z0.forEach((c, i) => { result[i] += c; z1[i] -= c; });
+    z2.forEach((c, i) => { result[i + 2 * m] += c; z1[i] -= c; });
+    z1.forEach((c, i) => { if (c !== 0n) result[i + m] += c; });
+    return result;
+}
+
+/**
+ * Kronecker substitution: evaluate both factors at 2ᵏ, multiply the two big integers
+ * once, and read the product's coefficients back off as signed k-bit digits
+ */
+function kroneckerMulInt(a, b) {
+    const maxAbs = (xs) => xs.reduce((m, c) => (c < 0n ? -c : c) > m ? (c < 0n ? -c : c) : m, 0n);
+    const bound = BigInt(Math.min(a.length, b.length)) * maxAbs(a) * maxAbs(b);
+    const n = a.length + b.length - 1;
+    if (bound === 0n) return Array(n).fill(0n);
+    
+    // Every product coefficient lies strictly inside ±2^(k-1)
+    const k = bound.toString(2).length + 1;
+    return unpackSignedDigits(packDigits(a, k) * packDigits(b, k), k, n);
+}
+
+/**
+ * Σ cᵢ·2^(ki), built by halves to keep the big shifts balanced
+ */
+function packDigits(coeffs, k, lo = 0, hi = coeffs.length) {
+    if (hi - lo === 0) return 0n;
+    if (hi - lo === 1) return coeffs[lo];
+    const mid = (lo + hi) >> 1;
+    return packDigits(coeffs, k, lo, mid) + (packDigits(coeffs, k, mid, hi) << BigInt(k * (mid - lo)));
+}
+
+/**
+ * Inverse of packDigits for digits in (-2^(k-1), 2^(k-1)): the low half is the
+ * balanced remainder modulo 2^(k·half), the high half is what remains
+ */
+function unpackSignedDigits(value, k, n) {
+    const digits = Array(n).fill(0n);
+    const split = (v, lo, hi) => {
+        if (hi - lo === 1) {
+            digits[lo] = v;
+            return;
+        }
+        const mid = (lo + hi) >> 1;
+        const bits = k * (mid - lo);
+        const low = BigInt.asIntN(bits, v);
+        split(low, lo, mid);
+        split((v - low) >> BigInt(bits), mid, hi);
+    };
+    split(value, 0, n);
+    return digits;
+}
+
+/**
+ * Multipoint evaluation methods. The remainder tree carries values of about
+ * deg P · log|x| bits through every level, so it multiplies as many bits per level
+ * as the whole output holds, while Horner only adds and scales by small integers.
+ * bench/poly-eval-many.js measures the tree slower at every degree it reaches
+ * (4.1× at n = 512, 2.2× at 2048, 1.4× at 8192 on integer points, worse on
+ * rational ones), and at n = 16384 its top products exceed the BigInt size limit.
+ * Its degree × point-count grid (degrees 16 to 1024, 64 to 4096 points) has no
+ * cell where the tree wins (1.7× to 10× slower), so there is no threshold to
+ * select it above and "auto" is the Horner pass. Tree nodes under
+ * EVAL_LEAF_SIZE points use Horner.
+ */
+const EVAL_METHODS = ["auto", "horner", "tree"];
+const EVAL_LEAF_SIZE = 16;
+
+/**
+ * Horner on the integer form of P, homogenized in the point's denominator:
+ * P(p/q) = Σ Aᵢ pⁱ q^(d-i) / (den · q^d), so each point costs one gcd
+ */
+function evalManyHorner(coeffs, xs) {
+    const [A, den] = toIntegerForm(trimCoeffs(coeffs));
+    const d = A.length - 1;
+    return xs.map(x => {
+        const p = x.numerator;
+        const q = x.denominator;
+        let result = A[d];
+        let qPower = 1n;
+        for (let i = d - 1; i >= 0; i--) {
+            qPower *= q;
+            result = result * p + A[i] * qPower;
+        }
+        return new Rational(result, den * qPower);
+    });
+}
+
+/**
+ * Integer product by the same size rule as mulCoeffs
+ */
+function mulInt(a, b) {
+    return Math.min(a.length, b.length) < KRONECKER_THRESHOLD ? karatsubaMulInt(a, b) : kroneckerMulInt(a, b);
+}
+
+/**
+ * g with f·g ≡ 1 (mod xⁿ) for integer f with f₀ = 1, by Newton iteration
+ * g ← g(2 - f·g), doubling precision; f₀ = 1 keeps every iterate integral
+ */
+function intSeriesInverse(f, n, reduce) {
+    let g = [1n];
+    for (let k = 1; k < n;) {
+        k = Math.min(2 * k, n);
+        const e = reduce(mulInt(f.slice(0, k), g).slice(0, k)).map(c => -c);
+        e[0] += 2n;
+        g = reduce(mulInt(g, e).slice(0, k));
+    }
+    return g;
+}
+
+/**
+ * Remainder of integer a modulo the monic integer polynomial b, by long division
+ */
+function intMonicRemainder(a, b, reduce) {
+    const m = b.length - 1;
+    const r = [...a];
+    for (let i = r.length - 1; i >= m; i--) {
+        if (r[i] === 0n) continue;
+        for (let j = 0; j < m; j++) r[i - m + j] -= r[i] * b[j];
+    }
+    return reduce(r.slice(0, m));
+}
+
+/**
+ * Remainder of integer a modulo the monic integer polynomial b, through the reversed
+ * quotient rev(q) = rev(a) / rev(b) mod x^(n-m+1); rev(b) has constant term 1, so
+ * everything stays in integers and both products use Kronecker substitution
+ */
+function intFastRemainder(a, b, reduce) {
+    const n = a.length - 1;
+    const m = b.length - 1;
+    if (n < m) return a;
+    if (m < EVAL_LEAF_SIZE || n - m < EVAL_LEAF_SIZE) return intMonicRemainder(a, b, reduce);
+    
+    const k = n - m + 1;
+    const inverse = intSeriesInverse([...b].reverse(), k, reduce);
+    const qRev = reduce(mulInt([...a].reverse().slice(0, k), inverse).slice(0, k));
+    while (qRev.length < k) qRev.push(0n);
+    const product = mulInt(qRev.reverse(), b);
+    return reduce(a.slice(0, m).map((c, i) => c - (product[i] ?? 0n)));
+}
+
+/**
+ * Subproduct tree over integer points: levels[0] holds the products of (x - aᵢ) over
+ * the leaf blocks, each higher level the pairwise products, the last level the root
+ */
+function subproductTree(points, reduce) {
+    const blocks = [];
+    for (let i = 0; i < points.length; i += EVAL_LEAF_SIZE) {
+        const block = points.slice(i, i + EVAL_LEAF_SIZE);
+        let node = [1n];
+        for (const a of block) {
+            // node · (x - a)
+            node = [...node.map((c, j) => (node[j - 1] ?? 0n) - a * c), node[node.length - 1]];
+        }
+        blocks.push({ node: reduce(node), points: block });
+    }
+    const levels = [blocks];
+    while (levels[levels.length - 1].length > 1) {
+        const below = levels[levels.length - 1];
+        const level = [];
+        for (let i = 0; i < below.length; i += 2) {
+            level.push(i + 1 < below.length
+                ? { node: reduce(mulInt(below[i].node, below[i + 1].node)), points: [...below[i].points, ...below[i + 1].points] }
+                : below[i]);
+        }
+        levels.push(level);
+    }
+    return levels;
+}
+
+/**
+ * Remainder tree in integers. With D the common denominator of the points, aᵢ = D·xᵢ
+ * and P = A/den, P(aᵢ/D) = Ã(aᵢ) / (den·Dᵈ) where Ã(y) = Σ Aⱼ D^(d-j) yʲ. Every
+ * Ã(aᵢ) lies inside ±2^(K-1) for the K below, and every node is monic, so the whole
+ * tree runs modulo 2^K; reducing Ã down the tree gives Ã mod (y - aᵢ) = Ã(aᵢ),
+ * finishing each leaf block with Horner on a remainder of degree < EVAL_LEAF_SIZE.
+ */
+function evalManyTree(coeffs, xs) {
+    const D = xs.reduce((l, x) => lcmBigInt(l, x.denominator), 1n);
+    const [A, den] = toIntegerForm(coeffs);
+    const d = A.length - 1;
+    const scaled = Array(d + 1);
+    let power = 1n;
+    for (let j = d; j >= 0; j--) {
+        scaled[j] = A[j] * power;
+        if (j > 0) power *= D;
+    }
+    const denom = den * power;
+    
+    const points = xs.map(x => x.numerator * (D / x.denominator));
+    const abs = c => c < 0n ? -c : c;
+    const maxAbs = cs => cs.reduce((m, c) => abs(c) > m ? abs(c) : m, 1n);
+    const K = (BigInt(d + 1) * maxAbs(scaled) * maxAbs(points) ** BigInt(d)).toString(2).length + 1;
+    const reduce = cs => cs.map(c => BigInt.asIntN(K, c));
+    
+    const levels = subproductTree(points, reduce);
+    let remainders = [intFastRemainder(scaled, levels[levels.length - 1][0].node, reduce)];
+    for (let depth = levels.length - 2; depth >= 0; depth--) {
+        const level = levels[depth];
+        const next = [];
+        levels[depth + 1].forEach((parent, i) => {
+            const children = level.slice(2 * i, 2 * i + 2);
+            if (children.length === 1) {
+                next.push(remainders[i]);
+            } else {
+                children.forEach(child => next.push(intFastRemainder(remainders[i], child.node, reduce)));
+            }
+        });
+        remainders = next;
+    }
+    return levels[0].flatMap((block, i) =>
+        block.points.map(a => new Rational(BigInt.asIntN(K, intEval(remainders[i], a)), denom)));
+}
+
+/**
+ * P at every point; "auto" is the Horner pass (see EVAL_METHODS), and the tree runs
+ * on chunks of about deg P + 1 points, where the subproduct tree is balanced against P
+ */
+function evalMany(coeffs, xs, method = "auto") {
+    const trimmed = trimCoeffs(coeffs);
+    if (method !== "tree") {
+        return evalManyHorner(trimmed, xs);
+    }
+    const chunk = Math.max(trimmed.length, EVAL_LEAF_SIZE);
+    const values = [];
+    for (let i = 0; i < xs.length; i += chunk) {
+        values.push(...evalManyTree(trimmed, xs.slice(i, i + chunk)));
+    }
+    return values;
+}
+
+function scaleCoeffs(a, c) {
+    return trimCoeffs(a.map(coef => coef.multiply(c)));
+}
+
+/**
+ * Scale coefficients so the leading coefficient is 1 (zero stays zero)
+ */
+function monicCoeffs(coeffs) {
+    const trimmed = trimCoeffs(coeffs);
+    if (isZeroPoly(trimmed)) return [new Rational(0n, 1n)];
+    const lead = trimmed[trimmed.length - 1];
+    return trimmed.map(c => c.divide(lead));
+}
+
+/**
+ * Content of ascending rational coefficients: gcd of the numerators over lcm of
+ * the denominators, signed like the leading coefficient, so that P / content has
+ * coprime integer coefficients and a positive leading coefficient (0 for zero)
+ */
+function polyContent(coeffs) {
+    const trimmed = trimCoeffs(coeffs);
+    if (isZeroPoly(trimmed)) return new Rational(0n, 1n);
+    
+    let numer = 0n;
+    let denom = 1n;
+    for (const c of trimmed) {
+        numer = gcdBigInt(numer, c.numerator);
+        denom = lcmBigInt(denom, c.denominator);
+    }
+    return new Rational(trimmed[trimmed.length - 1].numerator < 0n ? -numer : numer, denom);
+}
+
+/**
+ * Content of any polynomial input, reading sparse terms in degree order
+ */
+function polyContentOf(poly) {
+    const terms = extractTerms(poly);
+    return polyContent([...terms.keys()].sort((a, b) => a - b).map(k => terms.get(k)));
+}
+
+/**
+ * Least common denominator of rational coefficients: the smallest d > 0 with d·P integral
+ */
+function commonDenominator(coeffs) {
+    let denom = 1n;
+    for (const c of coeffs) denom = lcmBigInt(denom, c.denominator);
+    return denom;
+}
+
+/**
+ * Primitive integer polynomial proportional to the given rational coefficients:
+ * BigInt coefficients with gcd 1 and positive leading coefficient ([] for zero)
+ */
+function primitiveIntCoeffs(coeffs) {
+    const trimmed = trimCoeffs(coeffs);
+    if (isZeroPoly(trimmed)) return [];
+    
+    const content = polyContent(trimmed);
+    return trimmed.map(c => c.divide(content).numerator);
+}
+
+/**
+ * Divide a BigInt coefficient array by its content, making the leading coefficient positive
+ */
+function intPrimitive(ints) {
+    let content = 0n;
+    for (const c of ints) content = gcdBigInt(content, c);
+    if (content === 0n) return [];
+    if (ints[ints.length - 1] < 0n) content = -content;
+    return ints.map(c => c / content);
+}
+
+/**
+ * Pseudo-remainder of BigInt coefficient arrays: lc(b)^k · a mod b, computed without fractions
+ */
+function intPseudoRemainder(a, b) {
+    const dB = b.length - 1;
+    const lead = b[dB];
+    let r = [...a];
+    
+    while (r.length - 1 >= dB) {
+        const lr = r[r.length - 1];
+        const shift = r.length - 1 - dB;
+        r = r.map(c => c * lead);
+        for (let j = 0; j <= dB; j++) {
+            r[shift + j] -= lr * b[j];
+        }
+        while (r.length > 0 && r[r.length - 1] === 0n) r.pop();
+    }
+    
+    return r;
+}
+
+/**
+ * Monic GCD over Q via the primitive polynomial remainder sequence.
+ * Working with primitive integer remainders keeps coefficient growth in check.
+ */
+function polyGcd(p, q) {
+    let a = primitiveIntCoeffs(p);
+    let b = primitiveIntCoeffs(q);
+    
+    if (a.length < b.length) [a, b] = [b, a];
+    if (b.length === 0) {
+        if (a.length === 0) return [new Rational(0n, 1n)];
+        return monicCoeffs(a.map(c => new Rational(c, 1n)));
+    }
+    
+    while (true) {
+        const r = intPseudoRemainder(a, b);
+        if (r.length === 0) break;
+        a = b;
+        b = intPrimitive(r);
+    }
+    
+    return monicCoeffs(b.map(c => new Rational(c, 1n)));
+}
+
+/**
+ * Derivative of ascending Rational coefficients
+ */
+function derivCoeffs(coeffs) {
+    if (coeffs.length <= 1) return [new Rational(0n, 1n)];
+    const result = [];
+    for (let i = 1; i < coeffs.length; i++) {
+        result.push(coeffs[i].multiply(new Rational(BigInt(i), 1n)));
+    }
+    return trimCoeffs(result);
+}
+
+/**
+ * Square-free decomposition by Yun's algorithm.
+ * Returns { lead, factors: [{ factor: coeffs[], multiplicity }] } where each factor
+ * is monic and square-free, and P = lead · ∏ factorᵐᵘˡᵗⁱᵖˡⁱᶜⁱᵗʸ
+ */
+function squareFree(coeffs) {
+    const trimmed = trimCoeffs(coeffs);
+    const lead = trimmed[trimmed.length - 1];
+    const factors = [];
+    if (trimmed.length <= 1) return { lead, factors };
+    
+    const f = monicCoeffs(trimmed);
+    const fPrime = derivCoeffs(f);
+    const a0 = polyGcd(f, fPrime);
+    let b = polyDivide(f, a0).quotient;
+    let d = subCoeffs(polyDivide(fPrime, a0).quotient, derivCoeffs(b));
+    
+    for (let i = 1; b.length > 1; i++) {
+        const a = polyGcd(b, d);
+        if (a.length > 1) {
+            factors.push({ factor: a, multiplicity: i });
+        }
+        b = polyDivide(b, a).quotient;
+        d = subCoeffs(polyDivide(d, a).quotient, derivCoeffs(b));
+    }
+    
+    return { lead, factors };
+}
+
+/**
+ * Evaluate BigInt coefficient array at integer x
+ */
+function intEval(ints, x) {
+    let result = 0n;
+    for (let i = ints.length - 1; i >= 0; i--) {
+        result = result * x + ints[i];
+    }
+    return result;
+}
+
+/**
+ * Positive divisors of a nonzero BigInt, built from its prime factorization
+ */
+function intDivisors(n) {
+    let divisors = [1n];
+    const primes = factorBigInt(n);
+    for (let i = 0; i < primes.length; ) {
+        const p = primes[i];
+        let count = 0;
+        while (i < primes.length && primes[i] === p) { count++; i++; }
+        const next = [];
+        for (const d of divisors) {
+            let power = 1n;
+            for (let k = 0; k <= count; k++) {
+                next.push(d * power);
+                power *= p;
+            }
+        }
+        divisors = next;
+    }
+    return divisors;
+}
+
+/**
+ * Kronecker's method: search for an integer factor of f of exact degree d.
+ * Any factor g takes values g(xᵢ) dividing f(xᵢ), so we try every choice of
+ * divisors at d + 1 points and interpolate. Returns BigInt[] or null.
+ */
+function kroneckerFindFactor(f, d) {
+    // Candidate points 0, 1, -1, 2, -2, ...; keep those whose values have fewest divisors
+    const candidates = [];
+    for (let k = 0; candidates.length < 2 * d + 8; k++) {
+        const x = k % 2 === 0 ? BigInt(-k / 2) : BigInt((k + 1) / 2);
+        const value = intEval(f, x);
+        if (value === 0n) {
+            return d === 1 ? [-x, 1n] : null;
+        }
+        const divisors = intDivisors(value);
+        candidates.push({ x, divisors });
+    }
+    candidates.sort((a, b) => a.divisors.length - b.divisors.length);
+    const points = candidates.slice(0, d + 1);
+    
+    const values = [];
+    const search = (k) => {
+        if (k === points.length) {
+            return interpolateFactor(f, points.map(p => p.x), values, d);
+        }
+        const signs = k === 0 ? [1n] : [1n, -1n];
+        for (const div of points[k].divisors) {
+            for (const sign of signs) {
+                const v = sign * div;
+                // g(xₖ) - g(xⱼ) must be divisible by xₖ - xⱼ for integer g
+                let consistent = true;
+                for (let j = 0; j < k; j++) {
+                    if ((v - values[j]) % (points[k].x - points[j].x) !== 0n) {
+                        consistent = false;
+                        break;
+                    }
+                }
+                if (!consistent) continue;
+                values[k] = v;
+                const found = search(k + 1);
+                if (found) return found;
+            }
+        }
+        return null;
+    };
+    
+    return search(0);
+}
+
+/**
+ * Expand Newton form c₀ + c₁(x - z₀) + c₂(x - z₀)(x - z₁) + ... into ascending coefficients
+ */
+function newtonToMonomial(newtonCoeffs, nodes) {
+    const n = newtonCoeffs.length;
+    let result = [newtonCoeffs[n - 1]];
+    for (let i = n - 2; i >= 0; i--) {
+        result = addCoeffs(mulCoeffs(result, [nodes[i].negate(), new Rational(1n, 1n)]), [newtonCoeffs[i]]);
+    }
+    return result;
+}
+
+/**
+ * P(s·x + t): shift to P(x + t), then scale the kth coefficient by sᵏ
+ */
+function affineSubst(coeffs, s, t) {
+    let power = new Rational(1n, 1n);
+    return taylorShift(trimCoeffs(coeffs), t).map(c => {
+        const term = c.multiply(power);
+        power = power.multiply(s);
+        return term;
+    });
+}
+
+/**
+ * Monomial coefficients of a polynomial input, undoing a PolyRebase base
+ */
+function monomialCoeffs(poly) {
+    const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+    return poly?.base ? taylorShift(coeffs, poly.base.negate()) : coeffs;
+}
+
+/**
+ * Newton coefficients cᵢ with P = Σ cᵢ·(x - x₀)…(x - xᵢ₋₁): cᵢ is the remainder
+ * of the ith synthetic division, at node xᵢ
+ */
+function monomialToNewton(coeffs, nodes) {
+    const result = [];
+    let current = coeffs;
+    for (let i = 0; i < coeffs.length; i++) {
+        if (i === coeffs.length - 1) {
+            result.push(current[0]);
+            break;
+        }
+        const { quotient, remainder } = synthDivide(current, nodes[i]);
+        result.push(remainder);
+        current = quotient;
+    }
+    return result;
+}
+
+/**
+ * Row n of Pascal's triangle as BigInts
+ */
+function binomialRow(n) {
+    const row = [1n];
+    for (let k = 1; k <= n; k++) row.push(row[k - 1] * BigInt(n - k + 1) / BigInt(k));
+    return row;
+}
+
+/**
+ * Bernstein coefficients on [0, 1]: βₖ = Σⱼ≤ₖ C(k, j)/C(n, j)·qⱼ
+ */
+function monomialToBernstein(q) {
+    const n = q.length - 1;
+    const choose = binomialRow(n);
+    return q.map((_, k) => {
+        const row = binomialRow(k);
+        let sum = new Rational(0n, 1n);
+        for (let j = 0; j <= k; j++) sum = sum.add(q[j].multiply(new Rational(row[j], choose[j])));
+        return sum;
+    });
+}
+
+/**
+ * Inverse of monomialToBernstein: qⱼ = C(n, j)·Σₖ≤ⱼ (-1)ʲ⁻ᵏ C(j, k)·βₖ
+ */
+function bernsteinToMonomial(beta) {
+    const n = beta.length - 1;
+    const choose = binomialRow(n);
+    return beta.map((_, j) => {
+        const row = binomialRow(j);
+        let sum = new Rational(0n, 1n);
+        for (let k = 0; k <= j; k++) {
+            const term = beta[k].multiply(new Rational(row[k], 1n));
+            sum = (j - k) % 2 === 0 ? sum.add(term) : sum.subtract(term);
+        }
+        return sum.multiply(new Rational(choose[j], 1n));
+    });
+}
+
+/**
+ * T₀, …, Tₙ as coefficient arrays: Tₖ₊₁ = 2x·Tₖ - Tₖ₋₁
+ */
+function chebyshevPolys(n) {
+    const polys = [[new Rational(1n, 1n)], [new Rational(0n, 1n), new Rational(1n, 1n)]];
+    const two = new Rational(2n, 1n);
+    for (let k = 1; k < n; k++) {
+        polys.push(subCoeffs([new Rational(0n, 1n), ...scaleCoeffs(polys[k], two)], polys[k - 1]));
+    }
+    return polys.slice(0, n + 1);
+}
+
+/**
+ * Chebyshev coefficients by peeling off the top term: lead(Tₖ) = 2ᵏ⁻¹
+ */
+function monomialToChebyshev(q) {
+    const T = chebyshevPolys(q.length - 1);
+    const result = Array(q.length).fill(new Rational(0n, 1n));
+    let remaining = [...q];
+    for (let k = q.length - 1; k >= 0; k--) {
+        const c = (remaining[k] ?? new Rational(0n, 1n)).divide(T[k][k]);
+        result[k] = c;
+        if (c.numerator !== 0n) remaining = subCoeffs(remaining, scaleCoeffs(T[k], c));
+    }
+    return result;
+}
+
+function chebyshevToMonomial(c) {
+    const T = chebyshevPolys(c.length - 1);
+    return c.reduce((sum, ck, k) => addCoeffs(sum, scaleCoeffs(T[k], ck)), [new Rational(0n, 1n)]);
+}
+
+/**
+ * Interval {a, b} with a ≠ b (default [lowDefault, 1])
+ */
+function toBasisInterval(params, lowDefault, name) {
+    if (params === undefined) return [new Rational(BigInt(lowDefault), 1n), new Rational(1n, 1n)];
+    const values = params?.type === 'sequence' ? params.values : null;
+    if (!values || values.length !== 2) {
+        throw new Error(`${name}: expected an interval {a, b}`);
+    }
+    const [a, b] = values.map(toRational);
+    if (a.compareTo(b) === 0) {
+        throw new Error(`${name}: interval endpoints must differ`);
+    }
+    return [a, b];
+}
+
+/**
+ * Basis conversions as [toBasis(monomial coeffs, params), fromBasis(basis coeffs, params)].
+ * Bernstein and Chebyshev act on t ∈ [0, 1] or [-1, 1], mapped affinely onto [a, b].
+ */
+const BASES = {
+    monomial: [
+        (coeffs) => coeffs,
+        (coeffs) => coeffs
+    ],
+    shifted: [
+        (coeffs, a) => taylorShift(coeffs, toRational(a ?? 0n)),
+        (coeffs, a) => taylorShift(coeffs, toRational(a ?? 0n).negate())
+    ],
+    newton: [
+        (coeffs, nodes) => monomialToNewton(coeffs, toBasisNodes(nodes, coeffs.length - 1)),
+        (coeffs, nodes) => newtonToMonomial(coeffs, toBasisNodes(nodes, coeffs.length - 1))
+    ],
+    bernstein: [
+        (coeffs, interval) => {
+            const [a, b] = toBasisInterval(interval, 0, "Bernstein basis");
+            return monomialToBernstein(affineSubst(coeffs, b.subtract(a), a));
+        },
+        (coeffs, interval) => {
+            const [a, b] = toBasisInterval(interval, 0, "Bernstein basis");
+            const width = b.subtract(a);
+            return affineSubst(bernsteinToMonomial(coeffs), width.reciprocal(), a.negate().divide(width));
+        }
+    ],
+    chebyshev: [
+        (coeffs, interval) => {
+            const [a, b] = toBasisInterval(interval, -1, "Chebyshev basis");
+            const two = new Rational(2n, 1n);
+            return monomialToChebyshev(affineSubst(coeffs, b.subtract(a).divide(two), a.add(b).divide(two)));
+        },
+        (coeffs, interval) => {
+            const [a, b] = toBasisInterval(interval, -1, "Chebyshev basis");
+            const width = b.subtract(a);
+            const two = new Rational(2n, 1n);
+            return affineSubst(chebyshevToMonomial(coeffs), two.divide(width), a.add(b).negate().divide(width));
+        }
+    ]
+};
+
+/**
+ * Newton nodes: at least degree many are needed
+ */
+function toBasisNodes(nodes, degree) {
+    const values = nodes?.type === 'sequence' ? nodes.values.map(toRational) : null;
+    if (!values || values.length < degree) {
+        throw new Error(`Newton basis: expected a sequence of at least ${degree} nodes`);
+    }
+    return values;
+}
+
+function toBasis(name) {
+    const key = String(name?.value ?? name).toLowerCase();
+    if (!BASES[key]) {
+        throw new Error(`Unknown basis: ${name?.value ?? name} (use ${Object.keys(BASES).join(", ")})`);
+    }
+    return BASES[key];
+}
+
+/**
+ * de Casteljau on Bernstein coefficients at t: the value, and the control points
+ * of the two halves [0, t] and [t, 1] read off the triangle's edges
+ */
+function deCasteljau(beta, t) {
+    const one = new Rational(1n, 1n);
+    const s = one.subtract(t);
+    const left = [beta[0]];
+    const right = [beta[beta.length - 1]];
+    let row = beta;
+    while (row.length > 1) {
+        row = row.slice(1).map((c, i) => row[i].multiply(s).add(c.multiply(t)));
+        left.push(row[0]);
+        right.unshift(row[row.length - 1]);
+    }
+    return { value: row[0], left, right };
+}
+
+/**
+ * Parameter t ∈ [0, 1] for a point x of the Bernstein interval [a, b]
+ */
+function bernsteinParameter(x, interval, name) {
+    const [a, b] = toBasisInterval(interval, 0, name);
+    return toRational(x).subtract(a).divide(b.subtract(a));
+}
+
+/**
+ * Divided-difference table for nodes with prescribed values and derivatives.
+ * Each node is { x, values: [f(x), f'(x), f''(x), ...] }; a node with k values is
+ * repeated k times (Hermite), using f[x, ..., x] = f⁽ʲ⁾(x) / j! on repeated nodes.
+ * Returns { z: expanded nodes, columns: [[f[zᵢ]], [f[zᵢ, zᵢ₊₁]], ...] }.
+ */
+function dividedDifferences(nodes) {
+    const z = [];
+    const source = [];
+    for (const node of nodes) {
+        node.values.forEach(() => {
+            z.push(node.x);
+            source.push(node);
+        });
+    }
+    
+    const columns = [source.map(node => node.values[0])];
+    let factorial = new Rational(1n, 1n);
+    for (let j = 1; j < z.length; j++) {
+        factorial = factorial.multiply(new Rational(BigInt(j), 1n));
+        const previous = columns[j - 1];
+        const column = [];
+        for (let i = j; i < z.length; i++) {
+            const span = z[i].subtract(z[i - j]);
+            if (span.numerator === 0n) {
+                column.push(source[i].values[j].divide(factorial));
+            } else {
+                column.push(previous[i - j + 1].subtract(previous[i - j]).divide(span));
+            }
+        }
+        columns.push(column);
+    }
+    
+    return { z, columns };
+}
+
+/**
+ * Parse interpolation data: a sequence of {x, y, y', ...} sequences.
+ * Returns [{ x, values }] with at least minValues values per node.
+ */
+function extractNodes(points, name, minValues = 2) {
+    if (points?.type !== 'sequence' || points.values.length === 0) {
+        throw new Error(`${name} requires a sequence of points`);
+    }
+    const nodes = points.values.map(point => {
+        if (point?.type !== 'sequence' || point.values.length < minValues) {
+            throw new Error(`${name} expects points of the form {x, y${minValues > 2 ? ", y'" : ""}, ...}`);
+        }
+        const [x, ...values] = point.values.map(toRational);
+        return { x, values };
+    });
+    
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (nodes[i].x.compareTo(nodes[j].x) === 0) {
+                throw new Error(`${name} requires distinct x values`);
+            }
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Newton interpolation through (xs, ys); returns the primitive integer polynomial
+ * if it has degree d and divides f over Q, otherwise null
+ */
+function interpolateFactor(f, xs, ys, d) {
+    const n = xs.length;
+    const table = ys.map(y => new Rational(y, 1n));
+    for (let level = 1; level < n; level++) {
+        for (let i = n - 1; i >= level; i--) {
+            table[i] = table[i].subtract(table[i - 1])
+                .divide(new Rational(xs[i] - xs[i - level], 1n));
+        }
+    }
+    if (table[n - 1].numerator === 0n) return null;
+    
+    const g = newtonToMonomial(table, xs.map(x => new Rational(x, 1n)));
+    if (g.some(c => c.denominator !== 1n) || g.length - 1 !== d) return null;
+    
+    const fRat = f.map(c => new Rational(c, 1n));
+    if (!isZeroPoly(polyDivide(fRat, g).remainder)) return null;
+    return primitiveIntCoeffs(g);
+}
+
+/**
+ * Factor a square-free primitive integer polynomial into irreducibles
+ */
+function kroneckerFactor(f) {
+    if (f.length <= 2) return [f];
+    
+    for (let d = 1; d <= Math.floor((f.length - 1) / 2); d++) {
+        const g = kroneckerFindFactor(f, d);
+        if (g) {
+            const fRat = f.map(c => new Rational(c, 1n));
+            const gRat = g.map(c => new Rational(c, 1n));
+            const h = primitiveIntCoeffs(polyDivide(fRat, gRat).quotient);
+            return [...kroneckerFactor(g), ...kroneckerFactor(h)];
+        }
+    }
+    
+    return [f];
+}
+
+/**
+ * Kronecker's method is kept for tiny inputs, where it needs no prime search or
+ * lifting; its divisor search is exponential in the degree and factors values
+ * by trial division, so everything larger goes to Zassenhaus
+ */
+const KRONECKER_MAX_DEGREE = 3;
+const KRONECKER_MAX_BITS = 16;
+
+/**
+ * Number of suitable primes tried by zassenhausPrime
+ */
+const ZASSENHAUS_PRIMES = 5;
+
+/**
+ * Odd prime p not dividing the leading coefficient with f square-free mod p,
+ * chosen among the first few such primes for the fewest factors mod p.
+ * Returns { p, factors } with the monic irreducible factors of f mod p.
+ */
+function zassenhausPrime(f) {
+    const lead = f[f.length - 1];
+    let best = null;
+    let tried = 0;
+    for (let p = 3n; tried < ZASSENHAUS_PRIMES; p += 2n) {
+        if (!isPrimeBigInt(p) || lead % p === 0n) continue;
+        const image = trimP(f.map(c => modP(c, p)));
+        if (gcdP(image, derivP(image, p), p).length > 1) continue;
+        
+        tried++;
+        const factors = factorP(image, p).factors.map(({ factor }) => factor);
+        if (!best || factors.length < best.factors.length) best = { p, factors };
+        if (factors.length === 1) break;
+    }
+    return best;
+}
+
+/**
+ * Quadratic Hensel step: from f ≡ g·h and s·g + t·h ≡ 1 mod m₀, with h monic,
+ * the same identities mod m for any m₀ | m | m₀²
+ */
+function henselStep(f, g, h, s, t, m) {
+    const e = subP(trimP(f.map(c => modP(c, m))), mulP(g, h, m), m);
+    const { quotient: q, remainder: r } = divideP(mulP(s, e, m), h, m);
+    const gLift = addP(addP(g, mulP(t, e, m), m), mulP(q, g, m), m);
+    const hLift = addP(h, r, m);
+    
+    const b = subP(addP(mulP(s, gLift, m), mulP(t, hLift, m), m), [1n], m);
+    const { quotient: c, remainder: d } = divideP(mulP(s, b, m), hLift, m);
+    return {
+        g: gLift,
+        h: hLift,
+        s: subP(s, d, m),
+        t: subP(subP(t, mulP(t, b, m), m), mulP(c, gLift, m), m)
+    };
+}
+
+/**
+ * Lift f ≡ lc(f)·∏ factors mod p, with the factors monic and pairwise coprime,
+ * to monic factors mod the given power of p, splitting the factor list in
+ * halves and lifting each two-factor split
+ */
+function henselLift(f, factors, p, modulus) {
+    if (factors.length === 1) {
+        return [monicP(trimP(f.map(c => modP(c, modulus))), modulus)];
+    }
+    
+    const product = (list) => list.reduce((acc, u) => mulP(acc, u, p), [1n]);
+    const half = factors.length >> 1;
+    let g = scaleP(product(factors.slice(0, half)), modP(f[f.length - 1], p), p);
+    let h = product(factors.slice(half));
+    let { s, t } = extGcdP(g, h, p);
+    for (let m = p; m < modulus;) {
+        m = m * m < modulus ? m * m : modulus;
+        ({ g, h, s, t } = henselStep(f, g, h, s, t, m));
+    }
+    
+    return [
+        ...henselLift(g, factors.slice(0, half), p, modulus),
+        ...henselLift(h, factors.slice(half), p, modulus)
+    ];
+}
+
+/**
+ * Factor a square-free primitive integer polynomial into irreducibles by
+ * Zassenhaus's method: factor mod a small prime p, Hensel-lift the factors
+ * mod pᵏ past twice the Mignotte bound lc(f)·2ⁿ·‖f‖₂ on the coefficients of
+ * lc(f) times any factor, then recombine subsets of the lifted factors,
+ * smallest first, keeping each product that divides f over Z
+ */
+function zassenhausFactor(f) {
+    const { p, factors } = zassenhausPrime(f);
+    if (factors.length === 1) return [f];
+    
+    const lead = f[f.length - 1];
+    const norm = ceilRootBigInt(f.reduce((sum, c) => sum + c * c, 0n), 2);
+    const bound = lead * (1n << BigInt(f.length - 1)) * norm;
+    let modulus = p;
+    while (modulus <= 2n * bound) modulus *= p;
+    let lifted = henselLift(f, factors, p, modulus);
+    const symmetric = (c) => c > modulus / 2n ? c - modulus : c;
+    
+    // Try subsets of the lifted factors of growing size against what is left of f
+    const result = [];
+    let rest = f;
+    const tryCombination = (subset) => {
+        const restLead = rest[rest.length - 1];
+        const product = subset.reduce((acc, i) => mulP(acc, lifted[i], modulus), [modP(restLead, modulus)]);
+        const g = product.map(symmetric);
+        // The constant term must divide lc·f(0): a cheap filter before dividing
+        if (g[0] === 0n ? rest[0] !== 0n : (restLead * rest[0]) % g[0] !== 0n) return false;
+        
+        const candidate = intPrimitive(g);
+        const { quotient, remainder } = polyDivide(
+            rest.map(c => new Rational(c, 1n)), candidate.map(c => new Rational(c, 1n)));
+        if (!isZeroPoly(remainder)) return false;
+        result.push(candidate);
+        rest = primitiveIntCoeffs(quotient);
+        lifted = lifted.filter((_, i) => !subset.includes(i));
+        return true;
+    };
+    const search = (size, start, subset) => {
+        if (subset.length === size) return tryCombination(subset);
+        for (let i = start; i < lifted.length; i++) {
+            if (search(size, i + 1, [...subset, i])) return true;
+        }
+        return false;
+    };
+    for (let size = 1; 2 * size <= lifted.length;) {
+        if (!search(size, 0, [])) size++;
+    }
+    
+    result.push(rest);
+    return result;
+}
+
+/**
+ * Factor a square-free primitive integer polynomial into irreducibles:
+ * Kronecker for tiny inputs, Zassenhaus otherwise
+ */
+function squareFreeFactor(f) {
+    if (f.length <= 2) return [f];
+    const small = f.every(c => (c < 0n ? -c : c) < 1n << BigInt(KRONECKER_MAX_BITS));
+    return f.length - 1 <= KRONECKER_MAX_DEGREE && small ? kroneckerFactor(f) : zassenhausFactor(f);
+}
+
+/**
+ * Complete factorization over Q.
+ * Returns { content, factors: [{ factor: BigInt[], multiplicity }] } with each factor
+ * irreducible, primitive and with positive leading coefficient, so P = content · ∏ factorᵐ
+ */
+function polyFactor(coeffs) {
+    const content = polyContent(coeffs);
+    const primitive = primitiveIntCoeffs(coeffs).map(c => new Rational(c, 1n));
+    
+    const factors = [];
+    for (const { factor, multiplicity } of squareFree(primitive).factors) {
+        for (const irreducible of squareFreeFactor(primitiveIntCoeffs(factor))) {
+            factors.push({ factor: irreducible, multiplicity });
+        }
+    }
+    
+    // Order by degree, then by coefficients from the constant term up
+    factors.sort((a, b) => {
+        if (a.factor.length !== b.factor.length) return a.factor.length - b.factor.length;
+        for (let i = 0; i < a.factor.length; i++) {
+            if (a.factor[i] !== b.factor[i]) return a.factor[i] < b.factor[i] ? -1 : 1;
+        }
+        return 0;
+    });
+    
+    return { content, factors };
+}
+
+/**
+ * Sturm chain: p₀ = P, p₁ = P', pₖ₊₁ = -rem(pₖ₋₁, pₖ), ending at gcd(P, P')
+ */
+function sturmChain(coeffs) {
+    const chain = [trimCoeffs(coeffs)];
+    let next = derivCoeffs(chain[0]);
+    
+    while (!isZeroPoly(next)) {
+        chain.push(next);
+        const { remainder } = polyDivide(chain[chain.length - 2], next);
+        next = remainder.map(c => c.negate());
+    }
+    
+    return chain;
+}
+
+/**
+ * Sturm chain with the common factor gcd(P, P') divided out, so that sign
+ * variations count distinct roots even when P has repeated roots
+ */
+function reducedSturmChain(coeffs) {
+    const chain = sturmChain(coeffs);
+    const last = chain[chain.length - 1];
+    if (last.length <= 1) return chain;
+    return chain.map(p => polyDivide(p, last).quotient);
+}
+
+/**
+ * Parse an interval endpoint: a rational, or ±infinity given as a string
+ * ("inf", "-inf", "oo", "-oo", "infinity") or a JS ±Infinity.
+ * Missing endpoints default to the given infinite side.
+ * Returns { infinite: -1 | 1 } or { value: Rational }.
+ */
+function toEndpoint(val, defaultSide) {
+    if (val === undefined || val === null) return { infinite: defaultSide };
+    if (val === Infinity || val === -Infinity) return { infinite: val > 0 ? 1 : -1 };
+    
+    const text = typeof val === 'string' ? val : val?.type === 'string' ? val.value : null;
+    if (text !== null) {
+        const normalized = text.trim().toLowerCase();
+        if (["inf", "+inf", "oo", "+oo", "infinity", "+infinity"].includes(normalized)) return { infinite: 1 };
+        if (["-inf", "-oo", "-infinity"].includes(normalized)) return { infinite: -1 };
+        throw new Error(`Invalid interval endpoint: ${text}`);
+    }
+    
+    return { value: toRational(val) };
+}
+
+/**
+ * Sign (-1, 0, 1) of a polynomial at an endpoint, possibly infinite
+ */
+function signAt(coeffs, endpoint) {
+    if (endpoint.infinite !== undefined) {
+        const lead = coeffs[coeffs.length - 1];
+        const leadSign = lead.numerator > 0n ? 1 : lead.numerator < 0n ? -1 : 0;
+        const oddDegree = (coeffs.length - 1) % 2 === 1;
+        return endpoint.infinite < 0 && oddDegree ? -leadSign : leadSign;
+    }
+    const value = hornerEval(coeffs, endpoint.value);
+    return value.numerator > 0n ? 1 : value.numerator < 0n ? -1 : 0;
+}
+
+/**
+ * Number of sign variations of a Sturm chain at an endpoint (zeros skipped)
+ */
+function sturmVariations(chain, endpoint) {
+    let variations = 0;
+    let previous = 0;
+    for (const p of chain) {
+        const sign = signAt(p, endpoint);
+        if (sign === 0) continue;
+        if (previous !== 0 && sign !== previous) variations++;
+        previous = sign;
+    }
+    return variations;
+}
+
+/**
+ * Compare endpoints: -1, 0 or 1
+ */
+function compareEndpoints(a, b) {
+    if (a.infinite !== undefined || b.infinite !== undefined) {
+        const aRank = a.infinite ?? 0;
+        const bRank = b.infinite ?? 0;
+        return aRank < bRank ? -1 : aRank > bRank ? 1 : 0;
+    }
+    return a.value.compareTo(b.value);
+}
+
+/**
+ * Number of distinct real roots in (a, b] using a reduced Sturm chain
+ */
+function countRootsBetween(chain, a, b) {
+    if (compareEndpoints(a, b) >= 0) return 0;
+    return sturmVariations(chain, a) - sturmVariations(chain, b);
+}
+
+/**
+ * Smallest BigInt r ≥ 0 with rᵏ ≥ n (n ≥ 0)
+ */
+function ceilRootBigInt(n, k) {
+    if (n <= 1n) return n;
+    const kBig = BigInt(k);
+    // Newton iteration for the floor root, starting above it
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / k));
+    while (true) {
+        const next = ((kBig - 1n) * x + n / x ** (kBig - 1n)) / kBig;
+        if (next >= x) break;
+        x = next;
+    }
+    return x ** kBig < n ? x + 1n : x;
+}
+
+/**
+ * Rational upper bound for the kth root of a non-negative rational p/q:
+ * (p/q)^(1/k) = (p·q^(k-1))^(1/k) / q ≤ ⌈(p·q^(k-1))^(1/k)⌉ / q
+ */
+function rootUpperBound(r, k) {
+    if (k === 1) return r;
+    const q = r.denominator;
+    return new Rational(ceilRootBigInt(r.numerator * q ** BigInt(k - 1), k), q);
+}
+
+/**
+ * |aᵢ / aₙ| for i < n
+ */
+function coeffRatios(coeffs) {
+    const lead = coeffs[coeffs.length - 1].abs();
+    return coeffs.slice(0, -1).map(c => c.abs().divide(lead));
+}
+
+/**
+ * Cauchy bound: every complex root satisfies |z| < 1 + max |aᵢ / aₙ|
+ */
+function cauchyBound(coeffs) {
+    let max = new Rational(0n, 1n);
+    for (const ratio of coeffRatios(trimCoeffs(coeffs))) {
+        if (ratio.compareTo(max) > 0) max = ratio;
+    }
+    return max.add(new Rational(1n, 1n));
+}
+
+/**
+ * Lagrange bound: every complex root satisfies |z| ≤ max(1, Σ |aᵢ / aₙ|)
+ */
+function lagrangeBound(coeffs) {
+    let sum = new Rational(0n, 1n);
+    for (const ratio of coeffRatios(trimCoeffs(coeffs))) {
+        sum = sum.add(ratio);
+    }
+    const one = new Rational(1n, 1n);
+    return sum.compareTo(one) > 0 ? sum : one;
+}
+
+/**
+ * Fujiwara bound: |z| ≤ 2·max(|aₙ₋₁/aₙ|, |aₙ₋₂/aₙ|^(1/2), ..., |a₀/(2aₙ)|^(1/n)),
+ * with each root rounded up to a rational
+ */
+function fujiwaraBound(coeffs) {
+    const ratios = coeffRatios(trimCoeffs(coeffs));
+    const n = ratios.length;
+    let max = new Rational(0n, 1n);
+    for (let k = 1; k <= n; k++) {
+        let ratio = ratios[n - k];
+        if (k === n) ratio = ratio.divide(new Rational(2n, 1n));
+        const bound = rootUpperBound(ratio, k);
+        if (bound.compareTo(max) > 0) max = bound;
+    }
+    return max.multiply(new Rational(2n, 1n));
+}
+
+/**
+ * Lagrange–Maclaurin bound on positive real roots: with aₙ > 0, B the largest
+ * |negative coefficient| and k the gap from the leading term to the highest
+ * negative coefficient, every positive root is < 1 + (B / aₙ)^(1/k).
+ * Returns 0 when no coefficient has the opposite sign (no positive roots).
+ */
+function positiveRootBound(coeffs) {
+    const trimmed = trimCoeffs(coeffs);
+    const n = trimmed.length - 1;
+    const normalized = trimmed[n].numerator < 0n ? trimmed.map(c => c.negate()) : trimmed;
+    
+    let maxNegative = null;
+    let highestNegative = -1;
+    for (let i = 0; i < n; i++) {
+        if (normalized[i].numerator < 0n) {
+            const magnitude = normalized[i].abs();
+            if (maxNegative === null || magnitude.compareTo(maxNegative) > 0) maxNegative = magnitude;
+            highestNegative = i;
+        }
+    }
+    if (maxNegative === null) return new Rational(0n, 1n);
+    
+    const ratio = maxNegative.divide(normalized[n]);
+    return rootUpperBound(ratio, n - highestNegative).add(new Rational(1n, 1n));
+}
+
+/**
+ * Lower bound on negative real roots: -(positive root bound of P(-x))
+ */
+function negativeRootBound(coeffs) {
+    const reflected = trimCoeffs(coeffs).map((c, i) => i % 2 === 1 ? c.negate() : c);
+    return positiveRootBound(reflected).negate();
+}
+
+/**
+ * Sign (-1, 0, 1) of a polynomial at a rational point
+ */
+function signAtPoint(coeffs, x) {
+    const value = hornerEval(coeffs, x);
+    return value.numerator > 0n ? 1 : value.numerator < 0n ? -1 : 0;
+}
+
+/**
+ * Isolate the real roots in (low, high] of a square-free polynomial with
+ * P(0) ≠ 0 into disjoint intervals (low, high], each holding exactly one
+ * simple root; by default every real root
+ */
+function isolateRealRoots(coeffs, low = negativeRootBound(coeffs), high = positiveRootBound(coeffs)) {
+    const chain = sturmChain(coeffs);
+    const two = new Rational(2n, 1n);
+    const intervals = [];
+    const pending = [[low, high]];
+    
+    while (pending.length > 0) {
+        const [low, high] = pending.pop();
+        const count = countRootsBetween(chain, { value: low }, { value: high });
+        if (count === 0) continue;
+        if (count === 1) {
+            intervals.push({ low, high });
+            continue;
+        }
+        const mid = low.add(high).divide(two);
+        pending.push([mid, high], [low, mid]);
+    }
+    
+    return intervals;
+}
+
+/**
+ * The root in an isolating interval (low, high] of a square-free integer
+ * polynomial when it is rational, else null; the interval is narrowed in place.
+ * By the Rational Root Theorem a root p/q has q | aₙ, so aₙ·root is an integer,
+ * and once the interval is narrower than 1/|aₙ| at most one candidate remains.
+ */
+function rationalRootIn(ints, coeffs, interval) {
+    const lead = new Rational(ints[ints.length - 1] < 0n ? -ints[ints.length - 1] : ints[ints.length - 1], 1n);
+    const one = new Rational(1n, 1n);
+    const two = new Rational(2n, 1n);
+    const highSign = signAtPoint(coeffs, interval.high);
+    if (highSign === 0) return interval.high;
+    
+    // The root is simple, so P changes sign across it and nowhere else in the interval
+    while (interval.high.subtract(interval.low).multiply(lead).compareTo(one) >= 0) {
+        const mid = interval.low.add(interval.high).divide(two);
+        const sign = signAtPoint(coeffs, mid);
+        if (sign === 0) return mid;
+        if (sign === highSign) {
+            interval.high = mid;
+        } else {
+            interval.low = mid;
+        }
+    }
+    
+    // The only integer in (aₙ·low, aₙ·high] can be ⌊aₙ·high⌋
+    const scaled = interval.high.multiply(lead);
+    let m = scaled.numerator / scaled.denominator;
+    if (m * scaled.denominator > scaled.numerator) m -= 1n;
+    const candidate = new Rational(m, lead.numerator);
+    return candidate.compareTo(interval.low) > 0 && signAtPoint(coeffs, candidate) === 0 ? candidate : null;
+}
+
+/**
+ * Halve an isolating interval of a simple root where the polynomial changes sign
+ */
+function bisectInterval(root, coeffs = root.factor) {
+    const mid = root.low.add(root.high).divide(new Rational(2n, 1n));
+    if (signAtPoint(coeffs, mid) === signAtPoint(coeffs, root.low)) {
+        root.low = mid;
+    } else {
+        root.high = mid;
+    }
+}
+
+/**
+ * All real roots of P with multiplicities, in increasing order; only those in
+ * the open interval (a, b) when a and b are given.
+ * Rational roots come back exact ({ exact: true, value }); irrational roots as
+ * disjoint isolating intervals ({ exact: false, low, high, factor }) of width
+ * below precision, where factor is the square-free part of P the root belongs
+ * to with its rational roots divided out. Only square-free decomposition and
+ * Sturm sequences are used, never a full factorization.
+ */
+function realRoots(coeffs, precision, a, b) {
+    const roots = [];
+    const primitive = primitiveIntCoeffs(coeffs).map(c => new Rational(c, 1n));
+    const inRange = (x) => a === undefined || (x.compareTo(a) > 0 && x.compareTo(b) < 0);
+    
+    for (const { factor, multiplicity } of squareFree(primitive).factors) {
+        let ints = primitiveIntCoeffs(factor);
+        if (ints[0] === 0n) {
+            const zero = new Rational(0n, 1n);
+            if (inRange(zero)) roots.push({ exact: true, value: zero, multiplicity });
+            ints = ints.slice(1);
+        }
+        if (ints.length <= 1) continue;
+        
+        const factorCoeffs = ints.map(c => new Rational(c, 1n));
+        let deflated = factorCoeffs;
+        const intervals = [];
+        const isolated = a === undefined ? isolateRealRoots(factorCoeffs) : isolateRealRoots(factorCoeffs, a, b);
+        // A root at a lies outside (a, b] but may still be an interval endpoint
+        if (a !== undefined && signAtPoint(factorCoeffs, a) === 0) {
+            deflated = synthDivide(deflated, a).quotient;
+        }
+        for (const interval of isolated) {
+            const value = rationalRootIn(ints, factorCoeffs, interval);
+            if (value) {
+                if (inRange(value)) roots.push({ exact: true, value, multiplicity });
+                deflated = synthDivide(deflated, value).quotient;
+            } else {
+                intervals.push(interval);
+            }
+        }
+        
+        // With the rational roots divided out, no interval endpoint is a root of the factor
+        deflated = primitiveIntCoeffs(deflated).map(c => new Rational(c, 1n));
+        for (const { low, high } of intervals) {
+            const root = { exact: false, low, high, factor: deflated, multiplicity };
+            while (root.high.subtract(root.low).compareTo(precision) >= 0) {
+                bisectInterval(root);
+            }
+            roots.push(root);
+        }
+    }
+    
+    // Roots from different factors are distinct: refine until intervals are disjoint
+    const lowOf = (r) => r.exact ? r.value : r.low;
+    const highOf = (r) => r.exact ? r.value : r.high;
+    let overlapping = true;
+    while (overlapping) {
+        overlapping = false;
+        roots.sort((a, b) => lowOf(a).compareTo(lowOf(b)));
+        for (let i = 1; i < roots.length; i++) {
+            if (highOf(roots[i - 1]).compareTo(lowOf(roots[i])) >= 0) {
+                overlapping = true;
+                if (!roots[i - 1].exact) bisectInterval(roots[i - 1]);
+                if (!roots[i].exact) bisectInterval(roots[i]);
+            }
+        }
+    }
+    
+    return roots;
+}
+
+/**
+ * Validate a precision argument (default 1/1000)
+ */
+function toPrecision(precision, name) {
+    const eps = precision !== undefined ? toRational(precision) : new Rational(1n, 1000n);
+    if (eps.numerator <= 0n) {
+        throw new Error(`${name} precision must be positive`);
+    }
+    return eps;
+}
+
+/**
+ * Rational or RationalInterval for a root found by realRoots
+ */
+function rootValue(root) {
+    return root.exact ? root.value : new RationalInterval(root.low, root.high);
+}
+
+/**
+ * Output entry {point, multiplicity} for a root found by realRoots,
+ * with the point stored under the given key
+ */
+function makeRootEntry(root, key) {
+    const value = rootValue(root);
+    const mult = new Integer(BigInt(root.multiplicity));
+    return {
+        type: 'sequence',
+        values: [value, mult],
+        lastValue: mult,
+        [key]: value,
+        multiplicity: mult,
+        exact: root.exact ? 1 : 0
+    };
+}
+
+/**
+ * For sorted, disjoint roots, rational sample points strictly between each root
+ * and its neighbours: [[left, right], ...]
+ */
+function rootNeighbourhoods(roots) {
+    const two = new Rational(2n, 1n);
+    const one = new Rational(1n, 1n);
+    const lowOf = (r) => r.exact ? r.value : r.low;
+    const highOf = (r) => r.exact ? r.value : r.high;
+    
+    return roots.map((root, i) => {
+        const left = i > 0
+            ? highOf(roots[i - 1]).add(lowOf(root)).divide(two)
+            : lowOf(root).subtract(one);
+        const right = i < roots.length - 1
+            ? highOf(root).add(lowOf(roots[i + 1])).divide(two)
+            : highOf(root).add(one);
+        return [root.exact ? left : root.low, root.exact ? right : root.high];
+    });
+}
+
+/**
+ * Upper bound for |P(x)| on [low, high]: Σ |aᵢ|·rⁱ with r = max(|low|, |high|)
+ */
+function absBoundOn(coeffs, low, high) {
+    const r = low.abs().compareTo(high.abs()) > 0 ? low.abs() : high.abs();
+    let bound = new Rational(0n, 1n);
+    for (let i = coeffs.length - 1; i >= 0; i--) {
+        bound = bound.multiply(r).add(coeffs[i].abs());
+    }
+    return bound;
+}
+
+/**
+ * Certified enclosure [lower, upper] of P at a root of P' isolated in (low, high):
+ * P moves by at most max|P'|·width from either endpoint value
+ */
+function criticalValueEnclosure(coeffs, derivative, root) {
+    const pLow = hornerEval(coeffs, root.low);
+    const pHigh = hornerEval(coeffs, root.high);
+    const slack = absBoundOn(derivative, root.low, root.high).multiply(root.high.subtract(root.low));
+    const min = pLow.compareTo(pHigh) < 0 ? pLow : pHigh;
+    const max = pLow.compareTo(pHigh) < 0 ? pHigh : pLow;
+    return { lower: min.subtract(slack), upper: max.add(slack) };
+}
+
+/**
+ * Certified maximum of P on [a, b] (minimum when sense = -1, via -P).
+ * Candidates are the endpoints and the critical points inside (a, b); irrational
+ * critical points are refined until the maximum value is known to within precision.
+ * Returns { lower, upper, at: [candidates whose value may attain the maximum] }.
+ */
+function polyExtremum(coeffs, a, b, precision, sense) {
+    const p = sense < 0 ? coeffs.map(c => c.negate()) : coeffs;
+    const derivative = derivCoeffs(p);
+    const endpoints = a.compareTo(b) === 0 ? [a] : [a, b];
+    const candidates = endpoints.map(x => {
+        const value = hornerEval(p, x);
+        return { exact: true, value: x, lower: value, upper: value };
+    });
+    
+    if (derivative.length > 1) {
+        // Only the critical points inside (a, b) are isolated and refined
+        for (const root of realRoots(derivative, precision, a, b)) {
+            if (root.exact) {
+                const value = hornerEval(p, root.value);
+                candidates.push({ exact: true, value: root.value, lower: value, upper: value });
+            } else {
+                candidates.push({ ...root, ...criticalValueEnclosure(p, derivative, root) });
+            }
+        }
+    }
+    
+    while (true) {
+        let lowerMax = candidates[0].lower;
+        let upperMax = candidates[0].upper;
+        for (const c of candidates) {
+            if (c.lower.compareTo(lowerMax) > 0) lowerMax = c.lower;
+            if (c.upper.compareTo(upperMax) > 0) upperMax = c.upper;
+        }
+        const contenders = candidates.filter(c => c.upper.compareTo(lowerMax) >= 0);
+        
+        if (upperMax.subtract(lowerMax).compareTo(precision) < 0) {
+            contenders.sort((x, y) => (x.exact ? x.value : x.low).compareTo(y.exact ? y.value : y.low));
+            return sense < 0
+                ? { lower: upperMax.negate(), upper: lowerMax.negate(), at: contenders }
+                : { lower: lowerMax, upper: upperMax, at: contenders };
+        }
+        
+        for (const c of contenders) {
+            if (c.exact) continue;
+            bisectInterval(c);
+            Object.assign(c, criticalValueEnclosure(p, derivative, c));
+        }
+    }
+}
+
+/**
+ * Shared handler body for PolyMax and PolyMin
+ */
+function extremumResult(poly, a, b, precision, sense, name) {
+    const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+    const aRat = toRational(a);
+    const bRat = toRational(b);
+    if (aRat.compareTo(bRat) > 0) {
+        throw new Error(`${name} requires a ≤ b`);
+    }
+    const eps = toPrecision(precision, name);
+    
+    const { lower, upper, at } = polyExtremum(coeffs, aRat, bRat, eps, sense);
+    const exact = lower.compareTo(upper) === 0;
+    const value = exact ? lower : new RationalInterval(lower, upper);
+    const points = at.map(rootValue);
+    const location = {
+        type: 'sequence',
+        values: points,
+        lastValue: points[points.length - 1]
+    };
+    
+    return {
+        type: 'sequence',
+        values: [value, location],
+        lastValue: location,
+        value: value,
+        at: location,
+        exact: exact ? 1 : 0
+    };
+}
+
+/**
+ * Antiderivative with constant term 0, as coefficients or as a term map
+ */
+function integrateCoeffs(coeffs) {
+    return [new Rational(0n, 1n), ...coeffs.map((c, i) => c.divide(new Rational(BigInt(i + 1), 1n)))];
+}
+
+function integrateTerms(terms) {
+    const result = new Map();
+    for (const [k, c] of terms) {
+        result.set(k + 1, c.divide(new Rational(BigInt(k + 1), 1n)));
+    }
+    return result;
+}
+
+/**
+ * Exact ∫ₐᵇ P(x) dx = F(b) - F(a), dense or sparse
+ */
+function definiteIntegral(poly, a, b) {
+    if (isSparsePoly(poly)) {
+        const F = integrateTerms(poly.terms);
+        return sparseEval(F, b).subtract(sparseEval(F, a));
+    }
+    const F = integrateCoeffs(extractCoeffs(poly?.coeffs || poly));
+    return hornerEval(F, b).subtract(hornerEval(F, a));
+}
+
+/**
+ * Certified ∫ₐᵇ |P(x)| dx for a < b. With sᵢ the sign of P between consecutive
+ * roots rᵢ in (a, b), the area is s_last·F(b) - s₀·F(a) + Σ (sᵢ₋₁ - sᵢ)·F(rᵢ);
+ * F at an irrational root is enclosed as a critical value of F (F' = P) and
+ * refined until the total enclosure is narrower than precision.
+ * Returns { lower, upper }, equal when every sign change is at a rational root.
+ */
+function polyArea(coeffs, a, b, precision) {
+    const zero = new Rational(0n, 1n);
+    const F = integrateCoeffs(coeffs);
+    if (coeffs.length <= 1) {
+        const area = hornerEval(F, b).subtract(hornerEval(F, a)).abs();
+        return { lower: area, upper: area };
+    }
+    
+    // Sturm isolation of the roots inside (a, b) only; no factorization
+    const roots = realRoots(coeffs, precision, a, b);
+    // P may vanish at a and b, so keep the sign samples below off them
+    for (const root of roots) {
+        while (!root.exact && (root.low.compareTo(a) === 0 || root.high.compareTo(b) === 0)) {
+            bisectInterval(root);
+        }
+    }
+    
+    // P has constant sign on each gap between a, the roots and b
+    const lowOf = (r) => r.exact ? r.value : r.low;
+    const highOf = (r) => r.exact ? r.value : r.high;
+    const two = new Rational(2n, 1n);
+    const edges = [a, ...roots.flatMap(r => [lowOf(r), highOf(r)]), b];
+    const signs = [];
+    for (let i = 0; i < edges.length; i += 2) {
+        signs.push(signAtPoint(coeffs, edges[i].add(edges[i + 1]).divide(two)));
+    }
+    
+    const exactPart = roots.reduce((sum, root, i) => {
+        const weight = signs[i] - signs[i + 1];
+        return root.exact && weight !== 0
+            ? sum.add(hornerEval(F, root.value).multiply(new Rational(BigInt(weight), 1n)))
+            : sum;
+    }, hornerEval(F, b).multiply(new Rational(BigInt(signs[signs.length - 1]), 1n))
+        .subtract(hornerEval(F, a).multiply(new Rational(BigInt(signs[0]), 1n))));
+    const irrational = roots
+        .map((root, i) => ({ root, weight: signs[i] - signs[i + 1] }))
+        .filter(({ root, weight }) => !root.exact && weight !== 0);
+    
+    while (true) {
+        let lower = exactPart;
+        let upper = exactPart;
+        for (const { root, weight } of irrational) {
+            const enclosure = criticalValueEnclosure(F, coeffs, root);
+            const w = new Rational(BigInt(weight), 1n);
+            const [lo, hi] = weight > 0 ? [enclosure.lower, enclosure.upper] : [enclosure.upper, enclosure.lower];
+            lower = lower.add(lo.multiply(w));
+            upper = upper.add(hi.multiply(w));
+        }
+        if (lower.compareTo(upper) === 0 || upper.subtract(lower).compareTo(precision) < 0) {
+            // The area is never negative
+            return { lower: lower.compareTo(zero) < 0 ? zero : lower, upper };
+        }
+        irrational.forEach(({ root }) => bisectInterval(root));
+    }
+}
+
+/**
+ * Extended Euclidean algorithm over Q with monic remainders.
+ * Returns { gcd, s, t } with s·p + t·q = gcd and gcd monic.
+ */
+function polyExtGcd(p, q) {
+    const one = [new Rational(1n, 1n)];
+    const zero = [new Rational(0n, 1n)];
+    
+    const normalize = (r, s, t) => {
+        if (isZeroPoly(r)) return [r, s, t];
+        const lead = r[r.length - 1].reciprocal();
+        return [scaleCoeffs(r, lead), scaleCoeffs(s, lead), scaleCoeffs(t, lead)];
+    };
+    
+    let [r0, s0, t0] = normalize(trimCoeffs(p), one, zero);
+    let [r1, s1, t1] = normalize(trimCoeffs(q), zero, one);
+    
+    while (!isZeroPoly(r1)) {
+        const { quotient, remainder } = polyDivide(r0, r1);
+        const [r2, s2, t2] = normalize(
+            remainder,
+            subCoeffs(s0, mulCoeffs(quotient, s1)),
+            subCoeffs(t0, mulCoeffs(quotient, t1))
+        );
+        [r0, s0, t0] = [r1, s1, t1];
+        [r1, s1, t1] = [r2, s2, t2];
+    }
+    
+    return { gcd: r0, s: s0, t: t0 };
+}
+
+/**
+ * Resultant over Q by the Euclidean algorithm:
+ * res(A, B) = (-1)^(mn) · lc(B)^(m - deg R) · res(B, R) with R = A mod B
+ */
+function polyResultant(p, q) {
+    let a = trimCoeffs(p);
+    let b = trimCoeffs(q);
+    if (isZeroPoly(a) || isZeroPoly(b)) return new Rational(0n, 1n);
+    
+    let result = new Rational(1n, 1n);
+    for (;;) {
+        const m = a.length - 1;
+        const n = b.length - 1;
+        if (n === 0) {
+            return result.multiply(rationalPow(b[0], m));
+        }
+        
+        const r = trimCoeffs(polyDivide(a, b).remainder);
+        if (isZeroPoly(r)) return new Rational(0n, 1n);
+        
+        let factor = rationalPow(b[n], m - (r.length - 1));
+        if ((m * n) % 2 === 1) factor = factor.negate();
+        result = result.multiply(factor);
+        [a, b] = [b, r];
+    }
+}
+
+/**
+ * Discriminant: (-1)^(n(n-1)/2) · res(P, P') / lc(P)
+ */
+function polyDiscriminant(coeffs) {
+    const p = trimCoeffs(coeffs);
+    const n = p.length - 1;
+    if (n < 1 || isZeroPoly(p)) {
+        throw new Error("Discriminant requires a polynomial of degree at least 1");
+    }
+    let disc = polyResultant(p, derivCoeffs(p)).divide(p[n]);
+    if ((n * (n - 1) / 2) % 2 === 1) disc = disc.negate();
+    return disc;
+}
+
+/**
+ * Φₙ = ∏_{d | n} (x^d - 1)^μ(n/d) on integer coefficients: multiply in the
+ * factors with μ = 1, then divide out those with μ = -1 exactly
+ */
+function cyclotomicInts(n) {
+    const divisors = NumberTheory.Divisors.handler(new Integer(BigInt(n))).values;
+    const numerators = [];
+    const denominators = [];
+    for (const d of divisors) {
+        const mu = NumberTheory.Mobius.handler(new Integer(BigInt(n) / d.value)).value;
+        if (mu === 1n) numerators.push(Number(d.value));
+        if (mu === -1n) denominators.push(Number(d.value));
+    }
+    
+    let coeffs = [1n];
+    for (const d of numerators) {
+        const product = Array(coeffs.length + d).fill(0n);
+        coeffs.forEach((c, i) => { product[i + d] += c; product[i] -= c; });
+        coeffs = product;
+    }
+    for (const d of denominators) {
+        // A = Q·(x^d - 1) gives q_{j-d} = a_j + q_j, from the top down
+        const quotient = Array(coeffs.length - d).fill(0n);
+        for (let j = coeffs.length - 1; j >= d; j--) {
+            quotient[j - d] = coeffs[j] + (quotient[j] ?? 0n);
+        }
+        coeffs = quotient;
+    }
+    return coeffs;
+}
+
+/**
+ * Minimal polynomial of cos(2πk/n), monic of degree φ(n')/2 where n' = n/gcd(k, n).
+ * z^(-m)·Φₙ'(z) is a polynomial in y = z + 1/z = 2cos θ, using zʲ + z⁻ʲ = Dⱼ(y)
+ * with D₀ = 2, D₁ = y, Dⱼ₊₁ = y·Dⱼ - Dⱼ₋₁.
+ */
+function cosMinPoly(k, n) {
+    const g = gcdBigInt(k, n);
+    const order = n / g;
+    if (order === 1n) return [new Rational(-1n, 1n), new Rational(1n, 1n)];
+    if (order === 2n) return [new Rational(1n, 1n), new Rational(1n, 1n)];
+    
+    const phi = cyclotomicInts(Number(order)).map(c => new Rational(c, 1n));
+    const m = (phi.length - 1) / 2;
+    const D = [[new Rational(2n, 1n)], [new Rational(0n, 1n), new Rational(1n, 1n)]];
+    for (let j = 1; j < m; j++) {
+        D.push(subCoeffs([new Rational(0n, 1n), ...D[j]], D[j - 1]));
+    }
+    let inY = [phi[m]];
+    for (let j = 1; j <= m; j++) inY = addCoeffs(inY, scaleCoeffs(D[j], phi[m + j]));
+    return monicCoeffs(affineSubst(inY, new Rational(2n, 1n), new Rational(0n, 1n)));
+}
+
+/**
+ * Of the monic polynomials given, the one the expression's value is a root of.
+ * enclose(round) gives a rational interval around the value, tighter every round;
+ * a candidate is certified once it is the only one with a root there, and has
+ * just one, counted exactly with Sturm chains. Returns it and that interval.
+ */
+function candidateAt(polys, enclose) {
+    const candidates = polys.map(poly => ({ poly, chain: sturmChain(poly) }));
+    for (let round = 0; ; round++) {
+        const { low, high } = enclose(round);
+        // Roots in [low, high]: Sturm counts (low, high], plus low itself
+        const counts = candidates.map(({ poly, chain }) =>
+            countRootsBetween(chain, { value: low }, { value: high }) + (signAtPoint(poly, low) === 0 ? 1 : 0));
+        const hits = counts.filter(count => count > 0);
+        if (hits.length === 1 && hits[0] === 1) {
+            return { poly: candidates[counts.indexOf(1)].poly, low, high };
+        }
+    }
+}
+
+/**
+ * The monic irreducible factor of f the expression's value is a root of.
+ * The square-free part holding the value is picked first by Sturm counts, so
+ * only that part goes to the modular factorizer.
+ */
+function factorAt(f, enclose) {
+    const parts = squareFree(f).factors.map(({ factor }) => factor);
+    const { poly: part } = candidateAt(parts, enclose);
+    const factors = squareFreeFactor(primitiveIntCoeffs(part))
+        .map(factor => monicCoeffs(factor.map(c => new Rational(c, 1n))));
+    return candidateAt(factors, enclose);
+}
+
+/**
+ * Res_y(A(y), B_x(y)) as a polynomial in x of degree ≤ degree: exact univariate
+ * resultants at x = 0, 1, ..., degree, then Newton interpolation
+ */
+function resultantInX(a, bAt, degree) {
+    const nodes = [];
+    for (let i = 0; i <= degree; i++) {
+        const x = new Rational(BigInt(i), 1n);
+        nodes.push({ x, values: [polyResultant(a, bAt(x))] });
+    }
+    const { z, columns } = dividedDifferences(nodes);
+    return trimCoeffs(newtonToMonomial(columns.map(column => column[0]), z));
+}
+
+/**
+ * Algebraic numbers for MinPoly: { poly: monic minimal polynomial, low, high }, where
+ * [low, high] holds exactly one root of poly, the value; rationals also carry exact
+ * and low = high = exact. Irreducible polynomials of degree ≥ 2 have no rational
+ * roots, so the endpoints of an irrational value's interval are never roots.
+ */
+function algebraicRational(r) {
+    return { poly: [r.negate(), new Rational(1n, 1n)], low: r, high: r, exact: r };
+}
+
+/**
+ * Halve the interval of an irrational value; rationals are already exact
+ */
+function refineAlgebraic(u) {
+    if (!u.exact) bisectInterval(u, u.poly);
+}
+
+/**
+ * Sign of an algebraic number, refining its interval until it excludes 0
+ */
+function algebraicSign(u) {
+    if (u.exact) return u.exact.numerator > 0n ? 1 : u.exact.numerator < 0n ? -1 : 0;
+    while (u.low.numerator <= 0n && u.high.numerator >= 0n) refineAlgebraic(u);
+    return u.low.numerator > 0n ? 1 : -1;
+}
+
+/**
+ * Enclosure callback for factorAt: enclose() on the operands' intervals, halving
+ * every irrational operand's interval each round after the first
+ */
+function refining(operands, enclose) {
+    return (round) => {
+        if (round > 0) operands.forEach(refineAlgebraic);
+        return enclose(round);
+    };
+}
+
+function algebraicFrom(f, enclose) {
+    const { poly, low, high } = factorAt(f, enclose);
+    return poly.length === 2 ? algebraicRational(poly[0].negate()) : { poly, low, high };
+}
+
+/**
+ * Interval extremes of a set of rational candidates
+ */
+function spanOf(values) {
+    const sorted = [...values].sort((a, b) => a.compareTo(b));
+    return { low: sorted[0], high: sorted[sorted.length - 1] };
+}
+
+/**
+ * Rational bounds low ≤ r^(1/k) ≤ high for r ≥ 0, less than 2^-bits apart:
+ * r^(1/k) = (p·q^(k-1)·2^(k·bits))^(1/k) / (q·2^bits)
+ */
+function rootBounds(r, k, bits) {
+    const n = (r.numerator * r.denominator ** BigInt(k - 1)) << BigInt(k * bits);
+    const scale = r.denominator << BigInt(bits);
+    const high = ceilRootBigInt(n, k);
+    const low = high ** BigInt(k) === n ? high : high - 1n;
+    return { low: new Rational(low, scale), high: new Rational(high, scale) };
+}
+
+/**
+ * Enclosure of the real kth root over [low, high], with low ≥ 0 for even k:
+ * the root is increasing, and odd roots of negatives are negated roots
+ */
+function intervalRoot(u, k, bits) {
+    const bound = (r, side) => r.numerator < 0n
+        ? rootBounds(r.negate(), k, bits)[side === "low" ? "high" : "low"].negate()
+        : rootBounds(r, k, bits)[side];
+    return { low: bound(u.low, "low"), high: bound(u.high, "high") };
+}
+
+function algebraicNeg(u) {
+    if (u.exact) return algebraicRational(u.exact.negate());
+    return { poly: monicCoeffs(affineSubst(u.poly, new Rational(-1n, 1n), new Rational(0n, 1n))), low: u.high.negate(), high: u.low.negate() };
+}
+
+function algebraicInv(u) {
+    if (u.poly[0].numerator === 0n) {
+        throw new Error("MinPoly: division by zero");
+    }
+    if (u.exact) return algebraicRational(u.exact.reciprocal());
+    // 1/x is decreasing on each side of 0
+    algebraicSign(u);
+    return { poly: monicCoeffs([...u.poly].reverse()), low: u.high.reciprocal(), high: u.low.reciprocal() };
+}
+
+function algebraicAdd(u, v) {
+    if (u.exact && v.exact) return algebraicRational(u.exact.add(v.exact));
+    if (v.exact || u.exact) {
+        const [alg, r] = v.exact ? [u, v.exact] : [v, u.exact];
+        // α + r is a root of A(x - r)
+        return { poly: affineSubst(alg.poly, new Rational(1n, 1n), r.negate()), low: alg.low.add(r), high: alg.high.add(r) };
+    }
+    // α + β is a root of Res_y(A(y), B(x - y))
+    const f = resultantInX(u.poly, (x) => affineSubst(v.poly, new Rational(-1n, 1n), x), (u.poly.length - 1) * (v.poly.length - 1));
+    return algebraicFrom(f, refining([u, v], () => ({ low: u.low.add(v.low), high: u.high.add(v.high) })));
+}
+
+function algebraicMul(u, v) {
+    if (u.exact && v.exact) return algebraicRational(u.exact.multiply(v.exact));
+    if (v.exact || u.exact) {
+        const [alg, r] = v.exact ? [u, v.exact] : [v, u.exact];
+        if (r.numerator === 0n) return algebraicRational(r);
+        // r·α is a root of A(x / r)
+        return {
+            poly: monicCoeffs(affineSubst(alg.poly, r.reciprocal(), new Rational(0n, 1n))),
+            ...spanOf([alg.low.multiply(r), alg.high.multiply(r)])
+        };
+    }
+    // α·β is a root of Res_y(A(y), y^m·B(x / y))
+    const m = v.poly.length - 1;
+    const f = resultantInX(u.poly, (x) => {
+        let power = new Rational(1n, 1n);
+        const coeffs = Array(m + 1);
+        v.poly.forEach((c, j) => {
+            coeffs[m - j] = c.multiply(power);
+            power = power.multiply(x);
+        });
+        return coeffs;
+    }, (u.poly.length - 1) * m);
+    return algebraicFrom(f, refining([u, v], () =>
+        spanOf([u.low.multiply(v.low), u.low.multiply(v.high), u.high.multiply(v.low), u.high.multiply(v.high)])));
+}
+
+function algebraicPow(u, k) {
+    if (k < 0) return algebraicInv(algebraicPow(u, -k));
+    if (u.exact) return algebraicRational(rationalPow(u.exact, k));
+    if (k === 0) return algebraicRational(new Rational(1n, 1n));
+    // αᵏ is a root of Res_y(A(y), x - yᵏ)
+    const f = resultantInX(u.poly, (x) => {
+        const coeffs = Array(k + 1).fill(new Rational(0n, 1n));
+        coeffs[0] = x;
+        coeffs[k] = new Rational(-1n, 1n);
+        return coeffs;
+    }, u.poly.length - 1);
+    return algebraicFrom(f, refining([u], () => {
+        const ends = [rationalPow(u.low, k), rationalPow(u.high, k)];
+        // An even power over an interval around 0 bottoms out at 0
+        const straddles = k % 2 === 0 && u.low.numerator < 0n && u.high.numerator > 0n;
+        return spanOf(straddles ? [...ends, new Rational(0n, 1n)] : ends);
+    }));
+}
+
+/**
+ * The real kth root of α (α ≥ 0 for even k) is a root of A(xᵏ)
+ */
+function algebraicRoot(u, k) {
+    if (k % 2 === 0 && algebraicSign(u) < 0) {
+        throw new Error("MinPoly: even root of a negative number");
+    }
+    const f = Array((u.poly.length - 1) * k + 1).fill(new Rational(0n, 1n));
+    u.poly.forEach((c, i) => { f[i * k] = c; });
+    return u.poly.length === 2 && u.exact.numerator === 0n ? u : algebraicFrom(f, refining([u], (round) => intervalRoot(u, k, round + 1)));
+}
+
+/**
+ * cos(2πk/n) as an algebraic number. The roots of its minimal polynomial are
+ * cos(2πi/n') for 0 < i < n'/2 coprime to n' = n/gcd(k, n), decreasing in i, so
+ * the value's isolating interval is picked by its rank among them.
+ */
+function algebraicCos(k, n) {
+    const poly = cosMinPoly(k, n);
+    if (poly.length === 2) return algebraicRational(poly[0].negate());
+    
+    const g = gcdBigInt(k, n);
+    const order = n / g;
+    const i = 2n * (k / g) < order ? k / g : order - k / g;
+    let rank = 0;
+    for (let j = i + 1n; 2n * j < order; j++) {
+        if (gcdBigInt(j, order) === 1n) rank++;
+    }
+    const intervals = isolateRealRoots(poly).sort((a, b) => a.low.compareTo(b.low));
+    return { poly, ...intervals[rank] };
+}
+
+/**
+ * Parse and evaluate a MinPoly expression by recursive descent:
+ *   expr   := term (("+" | "-") term)*
+ *   term   := unary (("*" | "/" | implicit) unary)*
+ *   unary  := ("+" | "-") unary | power
+ *   power  := atom ("^" integer)?
+ *   atom   := number | "pi" | "(" expr ")" | ("sqrt" | "√") atom
+ *           | func "(" expr ("," integer)? ")"   for sqrt, root, cos, sin
+ * Values are algebraic numbers, or angles {angle: r} meaning r·π, which only
+ * cos and sin accept.
+ */
+function parseAlgebraic(text) {
+    const tokens = [];
+    for (let i = 0; i < text.length;) {
+        const rest = text.slice(i);
+        const number = /^[0-9]+/.exec(rest);
+        const word = /^[A-Za-z]+/.exec(rest);
+        if (/\s/.test(text[i])) {
+            i++;
+        } else if (number) {
+            tokens.push({ kind: 'number', value: new Rational(BigInt(number[0]), 1n), pos: i });
+            i += number[0].length;
+        } else if (word || text[i] === "π") {
+            tokens.push({ kind: 'name', value: word ? word[0].toLowerCase() : "pi", pos: i });
+            i += word ? word[0].length : 1;
+        } else if ("+-−*·/^(),√".includes(text[i])) {
+            const ch = text[i];
+            tokens.push({ kind: ch === "−" ? "-" : ch === "·" ? "*" : ch, pos: i });
+            i++;
+        } else {
+            throw new Error(`MinPoly: unexpected "${text[i]}" at position ${i}`);
+        }
+    }
+    
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const fail = (message, at = peek()?.pos) => {
+        at = at === undefined ? " at end of input" : ` at position ${at}`;
+        throw new Error(`MinPoly: ${message}${at}`);
+    };
+    const expect = (kind) => {
+        if (peek()?.kind !== kind) fail(`expected "${kind}"`);
+        pos++;
+    };
+    const algebraic = (v) => {
+        if (v.angle) fail("π may only appear inside cos or sin", v.pos);
+        return v;
+    };
+    const integer = (v) => {
+        if (!v.exact || v.exact.denominator !== 1n) fail("expected an integer");
+        return Number(v.exact.numerator);
+    };
+    const add = (u, v) => u.angle && v.angle
+        ? { angle: u.angle.add(v.angle), pos: u.pos }
+        : algebraicAdd(algebraic(u), algebraic(v));
+    const mul = (u, v) => {
+        if (u.angle && v.exact) return { angle: u.angle.multiply(v.exact), pos: u.pos };
+        if (v.angle && u.exact) return { angle: v.angle.multiply(u.exact), pos: v.pos };
+        return algebraicMul(algebraic(u), algebraic(v));
+    };
+    const neg = (u) => u.angle ? { angle: u.angle.negate(), pos: u.pos } : algebraicNeg(u);
+    const inv = (u) => algebraicInv(algebraic(u));
+    const cos = (angle) => {
+        // cos(rπ) = cos(2π·k/n) with k/n = r/2
+        const r = angle.divide(new Rational(2n, 1n));
+        const n = r.denominator;
+        return algebraicCos(((r.numerator % n) + n) % n, n);
+    };
+    
+    const parseAtom = () => {
+        const tok = peek();
+        if (!tok) fail("expected a value");
+        pos++;
+        if (tok.kind === 'number') return algebraicRational(tok.value);
+        if (tok.kind === '(') {
+            const inner = parseExpr();
+            expect(')');
+            return inner;
+        }
+        if (tok.kind === '√') return algebraicRoot(algebraic(parsePower()), 2);
+        if (tok.kind === 'name' && tok.value === 'pi') return { angle: new Rational(1n, 1n), pos: tok.pos };
+        if (tok.kind === 'name' && ["sqrt", "root", "cos", "sin"].includes(tok.value)) {
+            expect('(');
+            const arg = parseExpr();
+            let index = 2;
+            if (tok.value === 'root') {
+                expect(',');
+                index = integer(parseExpr());
+                if (index < 1) fail("root index must be positive");
+            }
+            expect(')');
+            if (tok.value === 'sqrt' || tok.value === 'root') return algebraicRoot(algebraic(arg), index);
+            if (!arg.angle) fail(`${tok.value} expects a rational multiple of π`, tok.pos);
+            // sin(rπ) = cos((1/2 - r)π)
+            return cos(tok.value === 'cos' ? arg.angle : new Rational(1n, 2n).subtract(arg.angle));
+        }
+        pos--;
+        fail(tok.kind === 'name' ? `unknown name "${tok.value}"` : `unexpected "${tok.kind}"`);
+    };
+    
+    const parsePower = () => {
+        const base = parseAtom();
+        if (peek()?.kind !== '^') return base;
+        pos++;
+        const exponent = integer(parseUnary());
+        return algebraicPow(algebraic(base), exponent);
+    };
+    
+    const parseUnary = () => {
+        if (peek()?.kind === '-') {
+            pos++;
+            return neg(parseUnary());
+        }
+        if (peek()?.kind === '+') pos++;
+        return parsePower();
+    };
+    
+    const startsAtom = (tok) => tok && (tok.kind === 'number' || tok.kind === 'name' || tok.kind === '(' || tok.kind === '√');
+    const parseTerm = () => {
+        let value = parseUnary();
+        for (;;) {
+            const tok = peek();
+            if (tok?.kind === '*' || tok?.kind === '/') {
+                pos++;
+                const rhs = parseUnary();
+                if (tok.kind === '/' && rhs.angle) fail("cannot divide by π", rhs.pos);
+                value = mul(value, tok.kind === '*' ? rhs : inv(rhs));
+            } else if (startsAtom(tok)) {
+                value = mul(value, parseUnary());
+            } else {
+                return value;
+            }
+        }
+    };
+    
+    const parseExpr = () => {
+        let value = parseTerm();
+        while (peek()?.kind === '+' || peek()?.kind === '-') {
+            const op = peek().kind;
+            pos++;
+            const rhs = parseTerm();
+            value = add(value, op === '-' ? neg(rhs) : rhs);
+        }
+        return value;
+    };
+    
+    if (tokens.length === 0) fail("empty expression");
+    const result = parseExpr();
+    if (pos < tokens.length) fail(`unexpected "${peek().kind === 'name' ? peek().value : peek().kind}"`);
+    return algebraic(result);
+}
+
+/**
+ * Sylvester matrix of P (degree m) and Q (degree n) as rows of descending coefficients:
+ * n shifted copies of P followed by m shifted copies of Q
+ */
+function sylvesterMatrix(p, q) {
+    const a = [...trimCoeffs(p)].reverse();
+    const b = [...trimCoeffs(q)].reverse();
+    const m = a.length - 1;
+    const n = b.length - 1;
+    const size = m + n;
+    const zero = new Rational(0n, 1n);
+    
+    const shifted = (coeffs, offset) => {
+        const row = Array(size).fill(zero);
+        coeffs.forEach((c, j) => { row[offset + j] = c; });
+        return row;
+    };
+    
+    const rows = [];
+    for (let i = 0; i < n; i++) rows.push(shifted(a, i));
+    for (let i = 0; i < m; i++) rows.push(shifted(b, i));
+    return rows;
+}
+
+export const PolynomialFunctions = {
+    /**
+     * Create polynomial from coefficient sequence
+     */
+    Poly: {
+        type: 'js',
+        handler: function (coeffs, varName) {
+            if (typeof coeffs === 'string' || coeffs?.type === 'string') {
+                const { terms, variable } = parsePoly(coeffs?.value ?? coeffs, varName?.value || varName);
+                return makePolyFromTerms(terms, variable);
+            }
+            // makePoly gives the zero polynomial degree -1, like every other result
+            return makePoly(extractCoeffs(coeffs), varName?.value || varName || "x");
+        },
+        params: ["coeffs", "var?"],
+        doc: "Create polynomial from coefficients {a₀, a₁, ...} in ascending order, or from text like \"3x^2 - x/2 + 7\""
+    },
+
+    /**
+     * Parse polynomial from text
+     * PolyParse("(x-2)^3") creates x³ - 6x² + 12x - 8
+     */
+    PolyParse: {
+        type: 'js',
+        handler: function (text, varName) {
+            const source = text?.value ?? text;
+            if (typeof source !== 'string') {
+                throw new Error("PolyParse requires a string");
+            }
+            const { terms, variable } = parsePoly(source, varName?.value || varName);
+            return makePolyFromTerms(terms, variable);
+        },
+        params: ["text", "var?"],
+        doc: "Parse a written polynomial such as \"3x^2 - x/2 + 7\" or \"2(x-2)^3\" (implicit multiplication, parentheses, rational coefficients)"
+    },
+
+    /**
+     * Create sparse polynomial from (coeff, degree) pairs
+     * PolySparse(5, 10, 3, 2, 1, 0) creates 5x^10 + 3x^2 + 1
+     */
+    PolySparse: {
+        type: 'js',
+        handler: function () {
+            // Get all arguments via @@ sequence
+            const allArgs = this._currentCallScope?.get("@@");
+            if (!allArgs || allArgs.type !== 'sequence' || allArgs.values.length < 2) {
+                throw new Error("PolySparse requires pairs of (coefficient, degree)");
+            }
+            
+            // An odd trailing argument names the variable
+            let args = allArgs.values;
+            let variable = "x";
+            const last = args[args.length - 1];
+            if (args.length % 2 === 1 && (typeof last === 'string' || last?.type === 'string')) {
+                variable = last?.value ?? last;
+                args = args.slice(0, -1);
+            }
+            if (args.length === 0 || args.length % 2 !== 0) {
+                throw new Error("PolySparse requires pairs of (coefficient, degree)");
+            }
+            
+            // Build sparse representation: Map<degree, coefficient>
+            const sparseTerms = new Map();
+            
+            for (let i = 0; i < args.length; i += 2) {
+                const coeff = toRational(args[i]);
+                const deg = toExponent(args[i + 1], "Polynomial degree must be a non-negative integer");
+                accumulateTerm(sparseTerms, deg, coeff);
+            }
+            
+            return makeSparsePoly(sparseTerms, variable);
+        },
+        params: ["coeff1", "deg1", "...", "var?"],
+        doc: "Create sparse polynomial: PolySparse(5, 10, 3, 2, 1, 0) → 5x¹⁰ + 3x² + 1 (optional trailing variable name)"
+    },
+
+    /**
+     * Evaluate sparse polynomial efficiently
+     * Uses binary exponentiation for computing powers
+     */
+    PolySparseEval: {
+        type: 'js',
+        handler: function (poly, x) {
+            if (poly?.sparse && poly?.terms) {
+                return sparseEval(poly.terms, x);
+            }
+            // Fall back to regular evaluation for dense polynomials
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            return hornerEval(coeffs, x);
+        },
+        params: ["poly", "x"],
+        doc: "Evaluate polynomial, optimized for sparse polynomials"
+    },
+
+    /**
+     * Get polynomial degree
+     */
+    PolyDeg: {
+        type: 'js',
+        handler: function (poly) {
+            if (poly?.degree !== undefined) {
+                return new Integer(BigInt(poly.degree));
+            }
+            const trimmed = trimCoeffs(extractCoeffs(poly));
+            return new Integer(isZeroPoly(trimmed) ? -1n : BigInt(trimmed.length - 1));
+        },
+        params: ["poly"],
+        doc: "Returns the degree of the polynomial"
+    },
+
+    /**
+     * Get polynomial coefficients
+     */
+    PolyCoeffs: {
+        type: 'js',
+        handler: function (poly) {
+            if (poly?.coeffs) {
+                return poly.coeffs;
+            }
+            return extractCoeffs(poly);
+        },
+        params: ["poly"],
+        doc: "Returns the coefficient sequence of the polynomial"
+    },
+
+    /**
+     * Get specific coefficient
+     */
+    PolyCoeff: {
+        type: 'js',
+        handler: function (poly, n) {
+            const idx = Number(n instanceof Integer ? n.value : n);
+            if (isSparsePoly(poly)) {
+                return poly.terms.get(idx) || new Rational(0n, 1n);
+            }
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (idx < 0 || idx >= coeffs.length) {
+                return new Rational(0n, 1n);
+            }
+            return coeffs[idx];
+        },
+        params: ["poly", "n"],
+        doc: "Returns the nth coefficient (0-indexed, ascending)"
+    },
+
+    /**
+     * Human-readable form
+     */
+    PolyToString: {
+        type: 'js',
+        handler: function (poly, options) {
+            const display = { ...toDisplayOptions(options), variable: poly?.variable || "x" };
+            let text;
+            if (poly?.sparse && poly?.terms) {
+                const terms = [...poly.terms].map(([power, coeff]) => ({ power, coeff }));
+                text = formatTerms(terms, display);
+            } else {
+                const coeffs = extractCoeffs(poly?.coeffs || poly);
+                text = formatPoly(coeffs, { ...display, base: poly?.base });
+            }
+            return { type: 'string', value: text };
+        },
+        params: ["poly", "options?"],
+        doc: "Render as text, e.g. \"3x² - 2x + 1\"; options \"ascending\"/\"descending\", \"unicode\"/\"caret\""
+    },
+
+    /**
+     * Evaluate polynomial at x
+     */
+    PolyEval: {
+        type: 'js',
+        handler: function (poly, x) {
+            if (isSparsePoly(poly)) {
+                return sparseEval(poly.terms, x);
+            }
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            return hornerEval(coeffs, x);
+        },
+        params: ["poly", "x"],
+        doc: "Evaluate polynomial at x"
+    },
+
+    /**
+     * Evaluate at a sequence of points
+     */
+    PolyEvalMany: {
+        type: 'js',
+        handler: function (poly, xs, method) {
+            if (xs?.type !== 'sequence') {
+                throw new Error("PolyEvalMany expects a sequence of points");
+            }
+            const name = toMethodName(method, EVAL_METHODS, "evaluation");
+            const points = xs.values.map(toRational);
+            let values;
+            if (isSparsePoly(poly) && poly.terms.size * Math.log2(poly.degree + 1) < poly.degree) {
+                // Few terms over a high degree: powering each term beats a dense pass
+                values = points.map(x => sparseEval(poly.terms, x));
+            } else {
+                values = evalMany(extractCoeffs(poly?.coeffs || poly), points, name);
+            }
+            return makeCoeffSequence(values);
+        },
+        params: ["poly", "xs", "method?"],
+        doc: "Evaluate polynomial at each point of a sequence; method \"horner\" or \"tree\" (default \"auto\")"
+    },
+
+    /**
+     * Horner's method evaluation (optionally with steps)
+     */
+    PolyHorner: {
+        type: 'js',
+        handler: function (poly, x, showSteps) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            const xRat = toRational(x);
+            
+            if (!showSteps) {
+                return hornerEval(coeffs, x);
+            }
+            
+            // With steps
+            const steps = [];
+            let result = coeffs[coeffs.length - 1];
+            steps.push({ step: 0, value: result });
+            
+            for (let i = coeffs.length - 2; i >= 0; i--) {
+                result = result.multiply(xRat).add(coeffs[i]);
+                steps.push({ step: coeffs.length - 1 - i, value: result });
+            }
+            
+            return {
+                type: 'sequence',
+                values: steps.map(s => s.value),
+                lastValue: result,
+                result: result
+            };
+        },
+        params: ["poly", "x", "showSteps?"],
+        doc: "Evaluate using Horner's method, optionally showing steps"
+    },
+
+    /**
      * Add polynomials
      */
-    PolyAdd: {
+    PolyAdd: {
+        type: 'js',
+        handler: function (p, q) {
+            const variable = commonVariable(p, q);
+            if (isSparsePoly(p) || isSparsePoly(q)) {
+                return makePolyFromTerms(addTerms(extractTerms(p), extractTerms(q)), variable);
+            }
+            
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            
+            const maxLen = Math.max(pCoeffs.length, qCoeffs.length);
+            const result = [];
+            
+            for (let i = 0; i < maxLen; i++) {
+                const pVal = i < pCoeffs.length ? pCoeffs[i] : new Rational(0n, 1n);
+                const qVal = i < qCoeffs.length ? qCoeffs[i] : new Rational(0n, 1n);
+                result.push(pVal.add(qVal));
+            }
+            
+            return makePolyAuto(result, variable);
+        },
+        params: ["p", "q"],
+        doc: "Add two polynomials"
+    },
+
+    /**
+     * Subtract polynomials
+     */
+    PolySub: {
+        type: 'js',
+        handler: function (p, q) {
+            const variable = commonVariable(p, q);
+            if (isSparsePoly(p) || isSparsePoly(q)) {
+                return makePolyFromTerms(subTerms(extractTerms(p), extractTerms(q)), variable);
+            }
+            
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            
+            const maxLen = Math.max(pCoeffs.length, qCoeffs.length);
+            const result = [];
+            
+            for (let i = 0; i < maxLen; i++) {
+                const pVal = i < pCoeffs.length ? pCoeffs[i] : new Rational(0n, 1n);
+                const qVal = i < qCoeffs.length ? qCoeffs[i] : new Rational(0n, 1n);
+                result.push(pVal.subtract(qVal));
+            }
+            
+            return makePolyAuto(result, variable);
+        },
+        params: ["p", "q"],
+        doc: "Subtract polynomials: P - Q"
+    },
+
+    /**
+     * Multiply polynomials
+     */
+    PolyMul: {
+        type: 'js',
+        handler: function (p, q, method) {
+            const variable = commonVariable(p, q);
+            if (isSparsePoly(p) || isSparsePoly(q)) {
+                return makePolyFromTerms(mulTerms(extractTerms(p), extractTerms(q)), variable);
+            }
+            
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            return makePolyAuto(mulCoeffs(pCoeffs, qCoeffs, toMulMethod(method)), variable);
+        },
+        params: ["p", "q", "method?"],
+        doc: "Multiply polynomials; method \"schoolbook\", \"karatsuba\" or \"kronecker\" (default \"auto\" picks by size)"
+    },
+
+    /**
+     * Integer power
+     */
+    PolyPow: {
+        type: 'js',
+        handler: function (poly, n) {
+            const exponent = toExponent(n, "PolyPow requires a non-negative integer exponent");
+            const variable = poly?.variable || "x";
+            if (isSparsePoly(poly)) {
+                return makePolyFromTerms(powTerms(poly.terms, exponent), variable);
+            }
+            
+            // Repeated squaring, so large powers reach the fast multiplication sizes
+            let result = [new Rational(1n, 1n)];
+            let base = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            for (let e = exponent; e > 0; e >>= 1) {
+                if (e & 1) result = mulCoeffs(result, base);
+                if (e > 1) base = mulCoeffs(base, base);
+            }
+            return makePolyAuto(result, variable);
+        },
+        params: ["poly", "n"],
+        doc: "Raise polynomial to a non-negative integer power"
+    },
+
+    /**
+     * Polynomial long division
+     */
+    PolyDiv: {
+        type: 'js',
+        handler: function (p, q) {
+            const { quotient: quotientPoly, remainder: remainderPoly } = dividePolys(p, q, true);
+            
+            return {
+                type: 'sequence',
+                values: [quotientPoly, remainderPoly],
+                lastValue: remainderPoly,
+                quotient: quotientPoly,
+                remainder: remainderPoly
+            };
+        },
+        params: ["p", "q"],
+        doc: "Divide polynomials: returns {quotient, remainder} with P = quotient·Q + remainder"
+    },
+
+    /**
+     * Polynomial remainder
+     */
+    PolyMod: {
+        type: 'js',
+        handler: function (p, q) {
+            return dividePolys(p, q, false).remainder;
+        },
+        params: ["p", "q"],
+        doc: "Remainder of P divided by Q"
+    },
+
+    /**
+     * Polynomial GCD
+     */
+    PolyGCD: {
+        type: 'js',
+        handler: function (p, q) {
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            return makePoly(polyGcd(pCoeffs, qCoeffs), commonVariable(p, q));
+        },
+        params: ["p", "q"],
+        doc: "Monic greatest common divisor of two polynomials"
+    },
+
+    /**
+     * Extended polynomial GCD with Bezout cofactors
+     */
+    PolyExtGCD: {
         type: 'js',
         handler: function (p, q) {
             const pCoeffs = extractCoeffs(p?.coeffs || p);
             const qCoeffs = extractCoeffs(q?.coeffs || q);
+            const variable = commonVariable(p, q);
+            const { gcd, s, t } = polyExtGcd(pCoeffs, qCoeffs);
             
-            const maxLen = Math.max(pCoeffs.length, qCoeffs.length);
-            const result = [];
+            const gcdPoly = makePoly(gcd, variable);
+            const sPoly = makePoly(s, variable);
+            const tPoly = makePoly(t, variable);
             
-            for (let i = 0; i < maxLen; i++) {
-                const pVal = i < pCoeffs.length ? pCoeffs[i] : new Rational(0n, 1n);
-                const qVal = i < qCoeffs.length ? qCoeffs[i] : new Rational(0n, 1n);
-                result.push(pVal.add(qVal));
+            return {
+                type: 'sequence',
+                values: [gcdPoly, sPoly, tPoly],
+                lastValue: tPoly,
+                gcd: gcdPoly,
+                s: sPoly,
+                t: tPoly
+            };
+        },
+        params: ["p", "q"],
+        doc: "Returns {gcd, s, t} such that s·P + t·Q = gcd (gcd monic)"
+    },
+
+    /**
+     * Resultant of two polynomials
+     */
+    PolyResultant: {
+        type: 'js',
+        handler: function (p, q) {
+            commonVariable(p, q);
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            return polyResultant(pCoeffs, qCoeffs);
+        },
+        params: ["p", "q"],
+        doc: "Resultant res(P, Q): zero exactly when P and Q share a root"
+    },
+    
+    /**
+     * Discriminant
+     */
+    PolyDiscriminant: {
+        type: 'js',
+        handler: function (poly) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            return polyDiscriminant(coeffs);
+        },
+        params: ["poly"],
+        doc: "Discriminant of P: zero exactly when P has a repeated root"
+    },
+    
+    /**
+     * Sylvester matrix
+     */
+    PolySylvester: {
+        type: 'js',
+        handler: function (p, q) {
+            commonVariable(p, q);
+            const pCoeffs = extractCoeffs(p?.coeffs || p);
+            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            if (isZeroPoly(pCoeffs) || isZeroPoly(qCoeffs)) {
+                throw new Error("PolySylvester requires nonzero polynomials");
+            }
+            
+            const values = sylvesterMatrix(pCoeffs, qCoeffs).map(row => ({
+                type: 'sequence',
+                values: row,
+                lastValue: row[row.length - 1]
+            }));
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined
+            };
+        },
+        params: ["p", "q"],
+        doc: "Sylvester matrix of P and Q as a sequence of rows; its determinant is res(P, Q)"
+    },
+
+    /**
+     * Scale polynomial by scalar
+     */
+    PolyScale: {
+        type: 'js',
+        handler: function (poly, c) {
+            const cRat = toRational(c);
+            if (isSparsePoly(poly)) {
+                return makePolyFromTerms(scaleTerms(poly.terms, cRat), poly.variable);
+            }
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            
+            const result = coeffs.map(coef => coef.multiply(cRat));
+            return makePolyAuto(result, poly?.variable || "x");
+        },
+        params: ["poly", "c"],
+        doc: "Multiply polynomial by scalar c"
+    },
+
+    /**
+     * Negate polynomial
+     */
+    PolyNeg: {
+        type: 'js',
+        handler: function (poly) {
+            if (isSparsePoly(poly)) {
+                return makePolyFromTerms(scaleTerms(poly.terms, new Rational(-1n, 1n)), poly.variable);
+            }
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            const result = coeffs.map(c => c.negate());
+            
+            return makePolyAuto(result, poly?.variable || "x");
+        },
+        params: ["poly"],
+        doc: "Negate polynomial"
+    },
+
+    /**
+     * Derivative
+     */
+    PolyDer: {
+        type: 'js',
+        handler: function (poly, n) {
+            const times = n !== undefined ? Number(n instanceof Integer ? n.value : n) : 1;
+            if (isSparsePoly(poly)) {
+                return makePolyFromTerms(derivTerms(poly.terms, times), poly.variable);
+            }
+            let coeffs = extractCoeffs(poly?.coeffs || poly);
+            
+            for (let t = 0; t < times; t++) {
+                if (coeffs.length <= 1) {
+                    coeffs = [new Rational(0n, 1n)];
+                    break;
+                }
+                
+                const newCoeffs = [];
+                for (let i = 1; i < coeffs.length; i++) {
+                    newCoeffs.push(coeffs[i].multiply(new Rational(BigInt(i), 1n)));
+                }
+                coeffs = newCoeffs;
+            }
+            
+            return makePolyAuto(coeffs, poly?.variable || "x");
+        },
+        params: ["poly", "n?"],
+        doc: "Compute nth derivative (default n=1)"
+    },
+
+    /**
+     * Content: the rational factor making the rest a primitive integer polynomial
+     */
+    PolyContent: {
+        type: 'js',
+        handler: function (poly) {
+            return polyContentOf(poly);
+        },
+        params: ["poly"],
+        doc: "Content of P: gcd of numerators over lcm of denominators, signed like the leading coefficient (P = content·PolyPrimitive(P))"
+    },
+
+    /**
+     * Primitive part: coprime integer coefficients, positive leading coefficient
+     */
+    PolyPrimitive: {
+        type: 'js',
+        handler: function (poly) {
+            const content = polyContentOf(poly);
+            if (content.numerator === 0n) return makePoly([new Rational(0n, 1n)], poly?.variable || "x");
+            return makePolyFromTerms(scaleTerms(extractTerms(poly), content.reciprocal()), poly?.variable || "x");
+        },
+        params: ["poly"],
+        doc: "Primitive part of P: integer coefficients with gcd 1 and positive leading coefficient"
+    },
+
+    /**
+     * Clear denominators: the least d with d·P integral
+     */
+    PolyClearDenoms: {
+        type: 'js',
+        handler: function (poly) {
+            const terms = extractTerms(poly);
+            const scale = new Rational(commonDenominator(terms.values()), 1n);
+            const cleared = makePolyFromTerms(scaleTerms(terms, scale), poly?.variable || "x");
+            const scaleInt = new Integer(scale.numerator);
+            return {
+                type: 'sequence',
+                values: [scaleInt, cleared],
+                lastValue: cleared,
+                scale: scaleInt,
+                poly: cleared
+            };
+        },
+        params: ["poly"],
+        doc: "Clear denominators: {scale, poly} with scale the lcm of the denominators and poly = scale·P integral"
+    },
+
+    /**
+     * Square-free factorization
+     */
+    PolySqfree: {
+        type: 'js',
+        handler: function (poly) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolySqfree requires a nonzero polynomial");
+            }
+            const variable = poly?.variable || "x";
+            const { lead, factors } = squareFree(coeffs);
+            
+            const values = factors.map(({ factor, multiplicity }) => {
+                const factorPoly = makePoly(factor, variable);
+                const mult = new Integer(BigInt(multiplicity));
+                return {
+                    type: 'sequence',
+                    values: [factorPoly, mult],
+                    lastValue: mult,
+                    factor: factorPoly,
+                    multiplicity: mult
+                };
+            });
+            
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined,
+                lead: lead
+            };
+        },
+        params: ["poly"],
+        doc: "Square-free decomposition: sequence of {factor, multiplicity} with monic factors; P = lead·∏ factorᵏ"
+    },
+
+    /**
+     * Complete factorization over the rationals
+     */
+    PolyFactor: {
+        type: 'js',
+        handler: function (poly) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolyFactor requires a nonzero polynomial");
+            }
+            const variable = poly?.variable || "x";
+            const { content, factors } = polyFactor(coeffs);
+            
+            const values = factors.map(({ factor, multiplicity }) => {
+                const factorPoly = makePoly(factor.map(c => new Rational(c, 1n)), variable);
+                factorPoly.irreducible = 1;
+                const mult = new Integer(BigInt(multiplicity));
+                return {
+                    type: 'sequence',
+                    values: [factorPoly, mult],
+                    lastValue: mult,
+                    factor: factorPoly,
+                    multiplicity: mult
+                };
+            });
+            
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined,
+                content: content
+            };
+        },
+        params: ["poly"],
+        doc: "Factor over Q: content times irreducible primitive integer polynomials {factor, multiplicity}"
+    },
+
+    /**
+     * Indefinite integral
+     */
+    PolyInt: {
+        type: 'js',
+        handler: function (poly, c) {
+            const constant = c !== undefined ? toRational(c) : new Rational(0n, 1n);
+            if (isSparsePoly(poly)) {
+                const terms = new Map();
+                for (const [k, coeff] of poly.terms) {
+                    terms.set(k + 1, coeff.divide(new Rational(BigInt(k + 1), 1n)));
+                }
+                if (constant.numerator !== 0n) terms.set(0, constant);
+                return makePolyFromTerms(terms, poly.variable);
+            }
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            
+            const result = [constant];
+            for (let i = 0; i < coeffs.length; i++) {
+                result.push(coeffs[i].divide(new Rational(BigInt(i + 1), 1n)));
+            }
+            
+            return makePolyAuto(result, poly?.variable || "x");
+        },
+        params: ["poly", "c?"],
+        doc: "Indefinite integral with constant c (default 0)"
+    },
+
+    /**
+     * Definite integral
+     */
+    PolyIntegrate: {
+        type: 'js',
+        handler: function (poly, a, b) {
+            return definiteIntegral(poly, toRational(a), toRational(b));
+        },
+        params: ["poly", "a", "b"],
+        doc: "Exact definite integral of P from a to b"
+    },
+
+    /**
+     * Area between the curve and the axis
+     */
+    PolyArea: {
+        type: 'js',
+        handler: function (poly, a, b, precision) {
+            const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            const aRat = toRational(a);
+            const bRat = toRational(b);
+            if (aRat.compareTo(bRat) > 0) {
+                throw new Error("PolyArea requires a ≤ b");
+            }
+            const eps = toPrecision(precision, "PolyArea");
+            
+            const { lower, upper } = polyArea(coeffs, aRat, bRat, eps);
+            return lower.compareTo(upper) === 0 ? lower : new RationalInterval(lower, upper);
+        },
+        params: ["poly", "a", "b", "precision?"],
+        doc: "Area between P and the x-axis on [a, b]; exact, or a rational enclosure narrower than precision when P changes sign at irrational roots"
+    },
+
+    /**
+     * Mean value on an interval
+     */
+    PolyAverage: {
+        type: 'js',
+        handler: function (poly, a, b) {
+            const aRat = toRational(a);
+            const bRat = toRational(b);
+            if (aRat.compareTo(bRat) === 0) {
+                throw new Error("PolyAverage requires a ≠ b");
             }
-            
-            const trimmed = trimCoeffs(result);
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+            return definiteIntegral(poly, aRat, bRat).divide(bRat.subtract(aRat));
         },
-        params: ["p", "q"],
-        doc: "Add two polynomials"
+        params: ["poly", "a", "b"],
+        doc: "Mean value of P on [a, b]: the definite integral divided by b - a"
     },
 
     /**
-     * Subtract polynomials
+     * Composition P(Q(x))
      */
-    PolySub: {
+    PolyCompose: {
         type: 'js',
         handler: function (p, q) {
-            const pCoeffs = extractCoeffs(p?.coeffs || p);
-            const qCoeffs = extractCoeffs(q?.coeffs || q);
+            if (isSparsePoly(p) || isSparsePoly(q)) {
+                return makePolyFromTerms(composeTerms(extractTerms(p), extractTerms(q)), p?.variable || "x");
+            }
             
-            const maxLen = Math.max(pCoeffs.length, qCoeffs.length);
-            const result = [];
+            const pCoeffs = trimCoeffs(extractCoeffs(p?.coeffs || p));
+            const qCoeffs = trimCoeffs(extractCoeffs(q?.coeffs || q));
             
-            for (let i = 0; i < maxLen; i++) {
-                const pVal = i < pCoeffs.length ? pCoeffs[i] : new Rational(0n, 1n);
-                const qVal = i < qCoeffs.length ? qCoeffs[i] : new Rational(0n, 1n);
-                result.push(pVal.subtract(qVal));
+            // Horner's scheme with polynomial "x": ((aₙQ + aₙ₋₁)Q + ...)Q + a₀
+            let result = [pCoeffs[pCoeffs.length - 1]];
+            for (let i = pCoeffs.length - 2; i >= 0; i--) {
+                result = addCoeffs(mulCoeffs(result, qCoeffs), [pCoeffs[i]]);
             }
             
-            const trimmed = trimCoeffs(result);
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+            return makePolyAuto(result, p?.variable || "x");
         },
         params: ["p", "q"],
-        doc: "Subtract polynomials: P - Q"
+        doc: "Compose polynomials: P(Q(x))"
     },
 
     /**
-     * Multiply polynomials
+     * Affine substitution P(a·x + b)
      */
-    PolyMul: {
+    PolySubst: {
         type: 'js',
-        handler: function (p, q) {
-            const pCoeffs = extractCoeffs(p?.coeffs || p);
-            const qCoeffs = extractCoeffs(q?.coeffs || q);
-            
-            if (pCoeffs.length === 0 || qCoeffs.length === 0) {
-                return {
-                    type: 'polynomial',
-                    coeffs: makeCoeffSequence([new Rational(0n, 1n)]),
-                    degree: -1
-                };
-            }
-            
-            const resultLen = pCoeffs.length + qCoeffs.length - 1;
-            const result = Array(resultLen).fill(null).map(() => new Rational(0n, 1n));
+        handler: function (poly, a, b) {
+            const aRat = toRational(a);
+            const bRat = b !== undefined ? toRational(b) : new Rational(0n, 1n);
             
-            for (let i = 0; i < pCoeffs.length; i++) {
-                for (let j = 0; j < qCoeffs.length; j++) {
-                    result[i + j] = result[i + j].add(pCoeffs[i].multiply(qCoeffs[j]));
+            // P(a·x) keeps sparse polynomials sparse: scale the kth coefficient by aᵏ
+            if (isSparsePoly(poly) && bRat.numerator === 0n) {
+                const terms = new Map();
+                for (const [k, c] of poly.terms) {
+                    const term = c.multiply(rationalPow(aRat, k));
+                    if (term.numerator !== 0n) terms.set(k, term);
                 }
+                return makePolyFromTerms(terms, poly.variable);
             }
             
-            const trimmed = trimCoeffs(result);
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            return makePolyAuto(affineSubst(coeffs, aRat, bRat), poly?.variable || "x");
         },
-        params: ["p", "q"],
-        doc: "Multiply polynomials"
+        params: ["poly", "a", "b?"],
+        doc: "Substitute a·x + b into P: returns P(a·x + b) (default b = 0)"
     },
 
     /**
-     * Scale polynomial by scalar
+     * Interpolating polynomial through (x, y) points
      */
-    PolyScale: {
+    PolyInterp: {
         type: 'js',
-        handler: function (poly, c) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            const cRat = toRational(c);
-            
-            const result = coeffs.map(coef => coef.multiply(cRat));
-            const trimmed = trimCoeffs(result);
-            
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+        handler: function (points, varName) {
+            const nodes = extractNodes(points, "PolyInterp")
+                .map(({ x, values }) => ({ x, values: values.slice(0, 1) }));
+            const { z, columns } = dividedDifferences(nodes);
+            const newtonCoeffs = columns.map(column => column[0]);
+            return makePoly(newtonToMonomial(newtonCoeffs, z), varName?.value || varName || "x");
         },
-        params: ["poly", "c"],
-        doc: "Multiply polynomial by scalar c"
+        params: ["points", "var?"],
+        doc: "Unique polynomial of degree < n through n points {{x₀, y₀}, {x₁, y₁}, ...}"
     },
 
     /**
-     * Negate polynomial
+     * Newton divided-difference table
      */
-    PolyNeg: {
+    PolyNewtonTable: {
         type: 'js',
-        handler: function (poly) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            const result = coeffs.map(c => c.negate());
+        handler: function (points, varName) {
+            const nodes = extractNodes(points, "PolyNewtonTable")
+                .map(({ x, values }) => ({ x, values: values.slice(0, 1) }));
+            const { z, columns } = dividedDifferences(nodes);
+            const newtonCoeffs = columns.map(column => column[0]);
             
+            const columnSeqs = columns.map(makeCoeffSequence);
             return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(result),
-                degree: result.length - 1
+                type: 'sequence',
+                values: columnSeqs,
+                lastValue: columnSeqs[columnSeqs.length - 1],
+                nodes: makeCoeffSequence(z),
+                coeffs: makeCoeffSequence(newtonCoeffs),
+                poly: makePoly(newtonToMonomial(newtonCoeffs, z), varName?.value || varName || "x")
             };
         },
-        params: ["poly"],
-        doc: "Negate polynomial"
+        params: ["points", "var?"],
+        doc: "Divided-difference table: column k holds the kth differences; coeffs are the Newton-form coefficients"
     },
 
     /**
-     * Derivative
+     * Hermite interpolation with prescribed derivatives
      */
-    PolyDer: {
+    PolyHermiteInterp: {
         type: 'js',
-        handler: function (poly, n) {
-            let coeffs = extractCoeffs(poly?.coeffs || poly);
-            const times = n !== undefined ? Number(n instanceof Integer ? n.value : n) : 1;
+        handler: function (points, varName) {
+            const nodes = extractNodes(points, "PolyHermiteInterp");
+            const { z, columns } = dividedDifferences(nodes);
+            const newtonCoeffs = columns.map(column => column[0]);
+            return makePoly(newtonToMonomial(newtonCoeffs, z), varName?.value || varName || "x");
+        },
+        params: ["points", "var?"],
+        doc: "Hermite interpolation: points {x, y, y', y'', ...} prescribe values and derivatives at each node"
+    },
+
+    /**
+     * Monic polynomial with prescribed rational roots
+     */
+    PolyFromRoots: {
+        type: 'js',
+        handler: function (roots, multiplicities, varName) {
+            if (typeof multiplicities === 'string' || multiplicities?.type === 'string') {
+                varName = multiplicities;
+                multiplicities = undefined;
+            }
+            if (roots?.type !== 'sequence') {
+                throw new Error("PolyFromRoots requires a sequence of roots");
+            }
+            if (multiplicities !== undefined && (multiplicities?.type !== 'sequence' || multiplicities.values.length !== roots.values.length)) {
+                throw new Error("PolyFromRoots requires one multiplicity per root");
+            }
             
-            for (let t = 0; t < times; t++) {
-                if (coeffs.length <= 1) {
-                    coeffs = [new Rational(0n, 1n)];
-                    break;
-                }
-                
-                const newCoeffs = [];
-                for (let i = 1; i < coeffs.length; i++) {
-                    newCoeffs.push(coeffs[i].multiply(new Rational(BigInt(i), 1n)));
+            let coeffs = [new Rational(1n, 1n)];
+            roots.values.forEach((entry, i) => {
+                // {root, multiplicity} pairs are accepted in place of a second sequence
+                const [root, count] = entry?.type === 'sequence'
+                    ? entry.values
+                    : [entry, multiplicities?.values[i] ?? new Integer(1n)];
+                const m = toRational(count);
+                if (m.denominator !== 1n || m.numerator < 0n) {
+                    throw new Error("PolyFromRoots: multiplicities must be non-negative integers");
                 }
-                coeffs = newCoeffs;
+                // (x - r)^m is x^m shifted by -r
+                const power = Array(Number(m.numerator) + 1).fill(new Rational(0n, 1n));
+                power[power.length - 1] = new Rational(1n, 1n);
+                coeffs = mulCoeffs(coeffs, taylorShift(power, toRational(root).negate()));
+            });
+            return makePoly(coeffs, varName?.value || varName || "x");
+        },
+        params: ["roots", "multiplicities?", "var?"],
+        doc: "Monic ∏(x - rᵢ)^mᵢ from rational roots {r₁, r₂, ...}, optional multiplicities {m₁, m₂, ...} or pairs {{r₁, m₁}, ...}"
+    },
+
+    /**
+     * nth cyclotomic polynomial
+     */
+    Cyclotomic: {
+        type: 'js',
+        handler: function (n, varName) {
+            const order = toRational(n);
+            if (order.denominator !== 1n || order.numerator < 1n) {
+                throw new Error("Cyclotomic requires a positive integer n");
             }
-            
-            const trimmed = trimCoeffs(coeffs);
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+            const coeffs = cyclotomicInts(Number(order.numerator)).map(c => new Rational(c, 1n));
+            return makePoly(coeffs, varName?.value || varName || "x");
         },
-        params: ["poly", "n?"],
-        doc: "Compute nth derivative (default n=1)"
+        params: ["n", "var?"],
+        doc: "nth cyclotomic polynomial Φₙ = ∏_{d|n} (x^d - 1)^μ(n/d), whose roots are the primitive nth roots of unity"
     },
 
     /**
-     * Indefinite integral
+     * Minimal polynomial of an algebraic expression
      */
-    PolyInt: {
+    MinPoly: {
         type: 'js',
-        handler: function (poly, c) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            const constant = c !== undefined ? toRational(c) : new Rational(0n, 1n);
-            
-            const result = [constant];
-            for (let i = 0; i < coeffs.length; i++) {
-                result.push(coeffs[i].divide(new Rational(BigInt(i + 1), 1n)));
+        handler: function (text, varName) {
+            const source = text?.value ?? text;
+            if (typeof source !== 'string') {
+                throw new Error("MinPoly requires an expression string");
             }
-            
-            const trimmed = trimCoeffs(result);
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(trimmed),
-                degree: trimmed.length - 1
-            };
+            return makePoly(parseAlgebraic(source).poly, varName?.value || varName || "x");
         },
-        params: ["poly", "c?"],
-        doc: "Indefinite integral with constant c (default 0)"
+        params: ["expr", "var?"],
+        doc: "Monic minimal polynomial over Q of an expression built from rationals, + - * / ^, sqrt, root(α, k), and cos/sin of rational multiples of π"
     },
 
     /**
@@ -584,17 +3934,12 @@ export const PolynomialFunctions = {
             const { quotient, remainder } = synthDivide(coeffs, c);
             
             const result = {
-                quotient: {
-                    type: 'polynomial',
-                    coeffs: makeCoeffSequence(quotient),
-                    degree: quotient.length - 1
-                },
+                quotient: makePoly(quotient, poly?.variable || "x"),
                 remainder: remainder
             };
             
             if (showSteps) {
-                // TODO: Add step-by-step details
-                result.steps = "Step details not yet implemented";
+                result.steps = synthDivTableau(coeffs, toRational(c), poly?.variable || "x");
             }
             
             return {
@@ -602,13 +3947,27 @@ export const PolynomialFunctions = {
                 values: [result.quotient, result.remainder],
                 lastValue: result.remainder,
                 quotient: result.quotient,
-                remainder: result.remainder
+                remainder: result.remainder,
+                ...(result.steps ? { steps: result.steps } : {})
             };
         },
         params: ["poly", "c", "showSteps?"],
         doc: "Synthetic division by (x - c), returns {quotient, remainder}"
     },
 
+    /**
+     * Synthetic division tableau
+     */
+    SynthDivSteps: {
+        type: 'js',
+        handler: function (poly, c) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            return synthDivTableau(coeffs, toRational(c), poly?.variable || "x");
+        },
+        params: ["poly", "c"],
+        doc: "Synthetic division by (x - c) step by step: {divisor, coeffs, rows, quotient, remainder}"
+    },
+
     /**
      * Synthetic division quotient only
      */
@@ -618,11 +3977,7 @@ export const PolynomialFunctions = {
             const coeffs = extractCoeffs(poly?.coeffs || poly);
             const { quotient } = synthDivide(coeffs, c);
             
-            return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(quotient),
-                degree: quotient.length - 1
-            };
+            return makePoly(quotient, poly?.variable || "x");
         },
         params: ["poly", "c"],
         doc: "Return quotient polynomial from synthetic division by (x - c)"
@@ -645,29 +4000,126 @@ export const PolynomialFunctions = {
      * Rebase polynomial at x = a (Taylor polynomial)
      */
     PolyRebase: {
+        type: 'js',
+        handler: function (poly, a) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            const aRat = toRational(a);
+            const taylorCoeffs = taylorShift(coeffs, aRat);
+            
+            const rebased = makePoly(taylorCoeffs, poly?.variable || "x");
+            rebased.base = aRat;
+            rebased.call = (x) => hornerEval(taylorCoeffs, toRational(x).subtract(aRat));
+            return rebased;
+        },
+        params: ["poly", "a"],
+        doc: "Express P(x) as polynomial in (x - a)"
+    },
+
+    /**
+     * Rebase with the chain of synthetic divisions shown
+     */
+    PolyRebaseSteps: {
         type: 'js',
         handler: function (poly, a) {
             let coeffs = extractCoeffs(poly?.coeffs || poly);
             const aRat = toRational(a);
+            const variable = poly?.variable || "x";
             
-            // Repeated synthetic division to get Taylor coefficients
+            // Each division's remainder is the next Taylor coefficient;
+            // its quotient is divided again
+            const stages = [];
             const taylorCoeffs = [];
-            
-            for (let i = 0; i < coeffs.length; i++) {
-                const { quotient, remainder } = synthDivide(coeffs, aRat);
-                taylorCoeffs.push(remainder);
-                coeffs = quotient;
+            const n = coeffs.length;
+            for (let k = 0; k < n; k++) {
+                const tableau = synthDivTableau(coeffs, aRat, variable);
+                stages.push(tableau);
+                taylorCoeffs.push(tableau.remainder);
+                coeffs = synthDivide(coeffs, aRat).quotient;
             }
             
+            const rebased = makePoly(taylorCoeffs, variable);
+            rebased.base = aRat;
+            rebased.call = (x) => hornerEval(taylorCoeffs, toRational(x).subtract(aRat));
+            
             return {
-                type: 'polynomial',
-                coeffs: makeCoeffSequence(taylorCoeffs),
-                degree: taylorCoeffs.length - 1,
-                base: aRat
+                type: 'sequence',
+                values: stages,
+                lastValue: stages[stages.length - 1],
+                base: aRat,
+                taylorCoeffs: makeCoeffSequence(taylorCoeffs),
+                result: rebased
             };
         },
         params: ["poly", "a"],
-        doc: "Express P(x) as polynomial in (x - a)"
+        doc: "PolyRebase with steps: the synthetic division tableau producing each Taylor coefficient"
+    },
+
+    /**
+     * Coefficients in another basis
+     */
+    PolyToBasis: {
+        type: 'js',
+        handler: function (poly, basis, params) {
+            const [toCoeffs] = toBasis(basis);
+            const result = makeCoeffSequence(toCoeffs(monomialCoeffs(poly), params));
+            result.basis = String(basis?.value ?? basis).toLowerCase();
+            return result;
+        },
+        params: ["poly", "basis", "params?"],
+        doc: "Coefficients of P in the \"monomial\", \"shifted\" (params a), \"newton\" (params nodes), \"bernstein\" or \"chebyshev\" (params {a, b}) basis"
+    },
+
+    /**
+     * Polynomial from coefficients in another basis
+     */
+    PolyFromBasis: {
+        type: 'js',
+        handler: function (coeffs, basis, params, varName) {
+            const [, fromCoeffs] = toBasis(basis);
+            const values = extractCoeffs(coeffs);
+            if (values.length === 0) {
+                throw new Error("PolyFromBasis: expected at least one coefficient");
+            }
+            return makePolyAuto(fromCoeffs(values, params), varName?.value || varName || "x");
+        },
+        params: ["coeffs", "basis", "params?", "var?"],
+        doc: "Monomial-form polynomial from coefficients in the given basis (inverse of PolyToBasis)"
+    },
+
+    /**
+     * Evaluate a Bernstein form by de Casteljau's algorithm
+     */
+    PolyDeCasteljau: {
+        type: 'js',
+        handler: function (coeffs, x, interval) {
+            const beta = extractCoeffs(coeffs);
+            return deCasteljau(beta, bernsteinParameter(x, interval, "PolyDeCasteljau")).value;
+        },
+        params: ["coeffs", "x", "interval?"],
+        doc: "Evaluate Bernstein coefficients on [a, b] (default [0, 1]) at x by de Casteljau's algorithm"
+    },
+
+    /**
+     * Subdivide a Bernstein form
+     */
+    PolyBernsteinSplit: {
+        type: 'js',
+        handler: function (coeffs, x, interval) {
+            const beta = extractCoeffs(coeffs);
+            const { left, right } = deCasteljau(beta, bernsteinParameter(x, interval, "PolyBernsteinSplit"));
+            const leftSeq = makeCoeffSequence(left);
+            const rightSeq = makeCoeffSequence(right);
+            
+            return {
+                type: 'sequence',
+                values: [leftSeq, rightSeq],
+                lastValue: rightSeq,
+                left: leftSeq,
+                right: rightSeq
+            };
+        },
+        params: ["coeffs", "x", "interval?"],
+        doc: "Split Bernstein coefficients on [a, b] at x: returns {left, right}, the Bernstein coefficients on [a, x] and [x, b]"
     },
 
     /**
@@ -753,86 +4205,260 @@ export const PolynomialFunctions = {
     },
 
     /**
-     * Find rational roots using Rational Root Theorem
+     * Root bounds
      */
-    PolyRatRoots: {
+    PolyBounds: {
         type: 'js',
         handler: function (poly) {
-            const coeffs = extractCoeffs(poly?.coeffs || poly);
-            if (coeffs.length === 0) return { type: 'sequence', values: [] };
+            const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            if (coeffs.length < 2) {
+                throw new Error("PolyBounds requires a polynomial of degree at least 1");
+            }
             
-            // Get constant term and leading coefficient
-            const a0 = coeffs[0];
-            const an = coeffs[coeffs.length - 1];
+            const labelled = (method, bound) => ({
+                type: 'sequence',
+                values: [{ type: 'string', value: method }, bound],
+                lastValue: bound,
+                method: method,
+                bound: bound
+            });
+            
+            const cauchy = labelled("Cauchy", cauchyBound(coeffs));
+            const lagrange = labelled("Lagrange", lagrangeBound(coeffs));
+            const fujiwara = labelled("Fujiwara", fujiwaraBound(coeffs));
+            const positive = labelled("Lagrange-Maclaurin", positiveRootBound(coeffs));
+            const negative = labelled("Lagrange-Maclaurin", negativeRootBound(coeffs));
+            
+            return {
+                type: 'sequence',
+                values: [cauchy, lagrange, fujiwara, positive, negative],
+                lastValue: negative,
+                cauchy: cauchy,
+                lagrange: lagrange,
+                fujiwara: fujiwara,
+                positive: positive,
+                negative: negative
+            };
+        },
+        params: ["poly"],
+        doc: "Root bounds: Cauchy, Lagrange, Fujiwara bounds on |z|; upper bound on positive and lower bound on negative real roots"
+    },
+
+    /**
+     * Sturm sequence
+     */
+    PolySturm: {
+        type: 'js',
+        handler: function (poly) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolySturm requires a nonzero polynomial");
+            }
+            const variable = poly?.variable || "x";
+            const values = sturmChain(coeffs).map(p => makePoly(p, variable));
             
-            if (a0.numerator === 0n) {
-                // x = 0 is a root; factor out x and continue
-                // For now, just note it
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values[values.length - 1]
+            };
+        },
+        params: ["poly"],
+        doc: "Sturm chain: P, P', then negated remainders down to gcd(P, P')"
+    },
+
+    /**
+     * Exact count of distinct real roots in (a, b]
+     */
+    PolyRootCount: {
+        type: 'js',
+        handler: function (poly, a, b) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolyRootCount requires a nonzero polynomial");
+            }
+            const lo = toEndpoint(a, -1);
+            const hi = toEndpoint(b, 1);
+            if (compareEndpoints(lo, hi) > 0) {
+                throw new Error("PolyRootCount requires a ≤ b");
             }
             
-            // Find divisors of constant term numerator
-            const p = a0.numerator < 0n ? -a0.numerator : a0.numerator;
-            const q = an.numerator < 0n ? -an.numerator : an.numerator;
+            // Sign variations are unchanged by scaling, and integer chains stay smaller
+            const primitive = primitiveIntCoeffs(coeffs).map(c => new Rational(c, 1n));
+            const chain = reducedSturmChain(primitive);
+            return new Integer(BigInt(countRootsBetween(chain, lo, hi)));
+        },
+        params: ["poly", "a?", "b?"],
+        doc: "Number of distinct real roots in (a, b] by Sturm's theorem; a, b may be \"-inf\"/\"inf\" (default all of ℝ)"
+    },
+
+    /**
+     * All real roots: exact when rational, isolating intervals otherwise
+     */
+    PolyRoots: {
+        type: 'js',
+        handler: function (poly, precision) {
+            const coeffs = extractCoeffs(poly?.coeffs || poly);
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolyRoots requires a nonzero polynomial");
+            }
+            const eps = toPrecision(precision, "PolyRoots");
+            const values = realRoots(coeffs, eps).map(root => makeRootEntry(root, "root"));
             
-            if (p === 0n || q === 0n) {
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined
+            };
+        },
+        params: ["poly", "precision?"],
+        doc: "All real roots with multiplicities: rational roots exact, irrational roots as isolating intervals narrower than precision (default 1/1000)"
+    },
+
+    /**
+     * Critical points: roots of P'
+     */
+    PolyCritical: {
+        type: 'js',
+        handler: function (poly, precision) {
+            const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            const derivative = derivCoeffs(coeffs);
+            const eps = toPrecision(precision, "PolyCritical");
+            if (derivative.length <= 1) {
                 return { type: 'sequence', values: [], lastValue: undefined };
             }
             
-            // Get divisors
-            const pDivs = [];
-            for (let i = 1n; i * i <= p; i++) {
-                if (p % i === 0n) {
-                    pDivs.push(i);
-                    if (i * i !== p) pDivs.push(p / i);
-                }
-            }
+            const roots = realRoots(derivative, eps);
+            const neighbourhoods = rootNeighbourhoods(roots);
+            const values = roots.map((root, i) => {
+                const entry = makeRootEntry(root, "point");
+                // Sign of P' on either side decides the kind of critical point
+                const [left, right] = neighbourhoods[i];
+                const before = signAtPoint(derivative, left);
+                const after = signAtPoint(derivative, right);
+                entry.kind = before === after ? "stationary" : before < after ? "min" : "max";
+                return entry;
+            });
             
-            const qDivs = [];
-            for (let i = 1n; i * i <= q; i++) {
-                if (q % i === 0n) {
-                    qDivs.push(i);
-                    if (i * i !== q) qDivs.push(q / i);
-                }
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined
+            };
+        },
+        params: ["poly", "precision?"],
+        doc: "Critical points (roots of P') with kind \"min\", \"max\" or \"stationary\"; irrational points as isolating intervals"
+    },
+
+    /**
+     * Inflection points: roots of P'' where the concavity changes
+     */
+    PolyInflection: {
+        type: 'js',
+        handler: function (poly, precision) {
+            const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            const second = derivCoeffs(derivCoeffs(coeffs));
+            const eps = toPrecision(precision, "PolyInflection");
+            if (second.length <= 1) {
+                return { type: 'sequence', values: [], lastValue: undefined };
             }
             
-            // Test all ±p/q candidates
+            // P'' changes sign exactly at its roots of odd multiplicity
+            const values = realRoots(second, eps)
+                .filter(root => root.multiplicity % 2 === 1)
+                .map(root => makeRootEntry(root, "point"));
+            
+            return {
+                type: 'sequence',
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined
+            };
+        },
+        params: ["poly", "precision?"],
+        doc: "Inflection points (sign changes of P''); irrational points as isolating intervals"
+    },
+
+    /**
+     * Certified maximum on [a, b]
+     */
+    PolyMax: {
+        type: 'js',
+        handler: function (poly, a, b, precision) {
+            return extremumResult(poly, a, b, precision, 1, "PolyMax");
+        },
+        params: ["poly", "a", "b", "precision?"],
+        doc: "Maximum of P on [a, b]: {value, at}; value is exact or a rational enclosure narrower than precision"
+    },
+
+    /**
+     * Certified minimum on [a, b]
+     */
+    PolyMin: {
+        type: 'js',
+        handler: function (poly, a, b, precision) {
+            return extremumResult(poly, a, b, precision, -1, "PolyMin");
+        },
+        params: ["poly", "a", "b", "precision?"],
+        doc: "Minimum of P on [a, b]: {value, at}; value is exact or a rational enclosure narrower than precision"
+    },
+
+    /**
+     * Rational roots with multiplicities, by the Rational Root Theorem and deflation
+     */
+    PolyRatRoots: {
+        type: 'js',
+        handler: function (poly) {
+            const coeffs = trimCoeffs(extractCoeffs(poly?.coeffs || poly));
+            if (isZeroPoly(coeffs)) {
+                throw new Error("PolyRatRoots requires a nonzero polynomial");
+            }
+            const variable = poly?.variable || "x";
             const roots = [];
-            const tested = new Set();
-            
-            for (const pVal of pDivs) {
-                for (const qVal of qDivs) {
-                    const posCandidate = new Rational(pVal, qVal);
-                    const negCandidate = new Rational(-pVal, qVal);
-                    
-                    const posKey = posCandidate.toString();
-                    const negKey = negCandidate.toString();
-                    
-                    if (!tested.has(posKey)) {
-                        tested.add(posKey);
-                        if (hornerEval(coeffs, posCandidate).numerator === 0n) {
-                            roots.push(posCandidate);
-                        }
-                    }
-                    
-                    if (!tested.has(negKey)) {
-                        tested.add(negKey);
-                        if (hornerEval(coeffs, negCandidate).numerator === 0n) {
-                            roots.push(negCandidate);
-                        }
+            
+            // Factor out xᵏ first, so the constant term is nonzero
+            let zeros = 0;
+            while (coeffs[zeros].numerator === 0n) zeros++;
+            if (zeros > 0) roots.push({ exact: true, value: new Rational(0n, 1n), multiplicity: zeros });
+            let cofactor = coeffs.slice(zeros);
+            
+            // The Rational Root Theorem applies to integer coefficients, so take
+            // the ±p/q candidates from the primitive part: same roots, no denominators
+            const ints = primitiveIntCoeffs(cofactor);
+            const constants = intDivisors(ints[0] < 0n ? -ints[0] : ints[0]);
+            const leads = intDivisors(ints[ints.length - 1]);
+            const candidates = new Map();
+            for (const p of constants) {
+                for (const q of leads) {
+                    for (const candidate of [new Rational(-p, q), new Rational(p, q)]) {
+                        candidates.set(candidate.toString(), candidate);
                     }
                 }
             }
             
-            // Sort roots
-            roots.sort((a, b) => a.compare(b));
+            // Deflate by each root as often as it divides, so multiplicities fall out
+            for (const candidate of candidates.values()) {
+                let multiplicity = 0;
+                while (cofactor.length > 1) {
+                    const { quotient, remainder } = synthDivide(cofactor, candidate);
+                    if (remainder.numerator !== 0n) break;
+                    cofactor = quotient;
+                    multiplicity++;
+                }
+                if (multiplicity > 0) roots.push({ exact: true, value: candidate, multiplicity });
+                if (cofactor.length === 1) break;
+            }
             
+            roots.sort((a, b) => a.value.compareTo(b.value));
+            const values = roots.map(root => makeRootEntry(root, "root"));
+            const cofactorPoly = makePoly(cofactor, variable);
             return {
                 type: 'sequence',
-                values: roots,
-                lastValue: roots.length > 0 ? roots[roots.length - 1] : undefined
+                values: values,
+                lastValue: values.length > 0 ? values[values.length - 1] : undefined,
+                cofactor: cofactorPoly
             };
         },
         params: ["poly"],
-        doc: "Find all rational roots using the Rational Root Theorem"
+        doc: "Rational roots with multiplicities {root, multiplicity} by the Rational Root Theorem; cofactor is P divided by ∏(x - r)ᵐ and has no rational roots"
     },
 };
@@ -8,6 +8,9 @@
 import { CoreArithmetic } from "./core-arith.js";
 import { NumberTheory } from "./number-theory.js";
 import { PolynomialFunctions } from "./polynomial.js";
+import { PolyMVFunctions } from "./poly-mv.js";
+import { PolyModPFunctions } from "./poly-modp.js";
+import { OrthogonalFunctions } from "./orthogonal.js";
 import { RationalFuncFunctions } from "./rational-func.js";
 import { PiecewiseFunctions } from "./piecewise.js";
 
@@ -18,6 +21,9 @@ export const functions = {
     ...CoreArithmetic,
     ...NumberTheory,
     ...PolynomialFunctions,
+    ...PolyMVFunctions,
+    ...PolyModPFunctions,
+    ...OrthogonalFunctions,
     ...RationalFuncFunctions,
     ...PiecewiseFunctions,
 };
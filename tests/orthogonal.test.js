@@ -0,0 +1,113 @@
+import { describe, test, expect } from "bun:test";
+import { Integer, Rational } from "@ratmath/core";
+import { OrthogonalFunctions } from "../src/orthogonal.js";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+const {
+    ChebyshevT, ChebyshevU, Legendre, Hermite, HermiteHe, Laguerre, Jacobi, Bernstein, OrthoInner
+} = OrthogonalFunctions;
+
+const int = (n) => new Integer(BigInt(n));
+const frac = (n, d) => new Rational(BigInt(n), BigInt(d));
+const str = (s) => ({ type: 'string', value: s });
+const coeffStrings = (P) => P.coeffs.values.map(String);
+// Exact inner products print as "2/5", or "1/2·π" for {coefficient, factor}
+const inner = (...args) => {
+    const result = OrthoInner.handler(...args);
+    return result?.type === 'sequence' ? `${result.coefficient}·${result.factor.value}` : result.toString();
+};
+
+describe("Orthogonal Polynomials", () => {
+    test("Chebyshev polynomials of both kinds", () => {
+        expect(coeffStrings(ChebyshevT.handler(int(0)))).toEqual(["1"]);
+        expect(coeffStrings(ChebyshevT.handler(int(4)))).toEqual(["1", "0", "-8", "0", "8"]);
+        expect(coeffStrings(ChebyshevU.handler(int(3)))).toEqual(["0", "-4", "0", "8"]);
+        // Tₙ(cos θ) = cos nθ gives Tₙ(1) = 1 and T₃(1/2) = cos π = -1
+        expect(ChebyshevT.handler(int(9)).call(int(1)).toString()).toBe("1");
+        expect(ChebyshevT.handler(int(3)).call(frac(1, 2)).toString()).toBe("-1");
+    });
+
+    test("Legendre and Hermite polynomials", () => {
+        expect(coeffStrings(Legendre.handler(int(3)))).toEqual(["0", "-3/2", "0", "5/2"]);
+        expect(Legendre.handler(int(12)).call(int(1)).toString()).toBe("1");
+        expect(coeffStrings(Hermite.handler(int(3)))).toEqual(["0", "-12", "0", "8"]);
+        expect(coeffStrings(HermiteHe.handler(int(4)))).toEqual(["3", "0", "-6", "0", "1"]);
+    });
+
+    test("Laguerre polynomials with rational alpha", () => {
+        expect(coeffStrings(Laguerre.handler(int(2)))).toEqual(["1", "-2", "1/2"]);
+        expect(coeffStrings(Laguerre.handler(int(2), frac(1, 2)))).toEqual(["15/8", "-5/2", "1/2"]);
+        // Lₙ^(α)(0) = C(n + α, n)
+        expect(Laguerre.handler(int(3), int(2)).call(int(0)).toString()).toBe("10");
+        expect(Laguerre.handler(int(2), str("t")).variable).toBe("t");
+    });
+
+    test("Jacobi polynomials specialize to Legendre and Chebyshev", () => {
+        expect(coeffStrings(Jacobi.handler(int(5), int(0), int(0)))).toEqual(coeffStrings(Legendre.handler(int(5))));
+        // Pₙ^(-1/2,-1/2) = Tₙ · (2n)! / (2²ⁿ (n!)²)
+        const scaled = PolynomialFunctions.PolyScale.handler(ChebyshevT.handler(int(2)), frac(3, 8));
+        expect(coeffStrings(Jacobi.handler(int(2), frac(-1, 2), frac(-1, 2)))).toEqual(coeffStrings(scaled));
+        expect(Jacobi.handler(int(3), frac(1, 3), int(2)).call(int(1)).toString()).toBe("140/81");   // C(n + α, n)
+    });
+
+    test("Bernstein basis polynomials", () => {
+        expect(coeffStrings(Bernstein.handler(int(1), int(3)))).toEqual(["0", "3", "-6", "3"]);
+        // The basis is a partition of unity
+        const sum = [0, 1, 2, 3, 4].map(k => Bernstein.handler(int(k), int(4)))
+            .reduce((acc, b) => PolynomialFunctions.PolyAdd.handler(acc, b));
+        expect(coeffStrings(sum)).toEqual(["1"]);
+        expect(() => Bernstein.handler(int(4), int(3))).toThrow();
+        expect(() => Legendre.handler(int(-1))).toThrow();
+    });
+
+    test("OrthoInner is exact for rational weights", () => {
+        const P = (n) => Legendre.handler(int(n));
+        expect(inner(str("Legendre"), P(2), P(3))).toBe("0");
+        expect(inner(str("legendre"), P(4), P(4))).toBe("2/9");
+        // ‖Pₙ^(1,2)‖² = 2⁴/(2n + 4) · (n + 1)!(n + 2)!/((n + 3)! n!)
+        const J = (n) => Jacobi.handler(int(n), int(1), int(2));
+        expect(inner(str("Jacobi"), J(1), J(3), int(1), int(2))).toBe("0");
+        expect(inner(str("Jacobi"), J(2), J(2), int(1), int(2))).toBe("6/5");
+        expect(inner(str("Laguerre"), Laguerre.handler(int(3)), Laguerre.handler(int(3)))).toBe("1");
+        expect(inner(str("Bernstein"), Bernstein.handler(int(1), int(3)), Bernstein.handler(int(0), int(0)))).toBe("1/4");
+    });
+
+    test("OrthoInner gives multiples of π and √π", () => {
+        const T = (n) => ChebyshevT.handler(int(n));
+        expect(inner(str("ChebyshevT"), T(0), T(0))).toBe("1·π");
+        expect(inner(str("ChebyshevT"), T(3), T(3))).toBe("1/2·π");
+        expect(inner(str("ChebyshevT"), T(2), T(3))).toBe("0");
+        const U = ChebyshevU.handler(int(4));
+        expect(inner(str("ChebyshevU"), U, U)).toBe("1/2·π");
+        // ‖Hₙ‖² = 2ⁿ n! √π and ‖Heₙ‖² = n! √(2π)
+        expect(inner(str("Hermite"), Hermite.handler(int(3)), Hermite.handler(int(3)))).toBe("48·√π");
+        expect(inner(str("Hermite"), Hermite.handler(int(2)), Hermite.handler(int(4)))).toBe("0");
+        expect(inner(str("HermiteHe"), HermiteHe.handler(int(3)), HermiteHe.handler(int(3)))).toBe("6·√(2π)");
+    });
+
+    test("OrthoInner wraps the factor as a string value", () => {
+        const T = ChebyshevT.handler(int(1));
+        const result = OrthoInner.handler(str("ChebyshevT"), T, T);
+        expect(result.factor).toEqual({ type: 'string', value: "π" });
+        expect(result.factor).toBe(result.values[1]);
+    });
+
+    test("OrthoInner with non-integer parameters", () => {
+        // ‖Lₙ^(α)‖² = Γ(n + α + 1)/n!
+        const L = (n, a) => Laguerre.handler(int(n), a);
+        expect(inner(str("Laguerre"), L(2, frac(1, 2)), L(2, frac(1, 2)), frac(1, 2))).toBe("15/16·√π");
+        expect(inner(str("Laguerre"), L(2, frac(1, 3)), L(2, frac(1, 3)), frac(1, 3))).toBe("14/9·Γ(4/3)");
+        expect(inner(str("Laguerre"), L(1, frac(1, 3)), L(2, frac(1, 3)), frac(1, 3))).toBe("0");
+        const J = (n) => Jacobi.handler(int(n), frac(-1, 2), frac(-1, 2));
+        expect(inner(str("Jacobi"), J(2), J(2), frac(-1, 2), frac(-1, 2))).toBe("9/128·π");
+        expect(inner(str("Jacobi"), Jacobi.handler(int(2), frac(1, 2), frac(-1, 3)),
+            Jacobi.handler(int(3), frac(1, 2), frac(-1, 3)), frac(1, 2), frac(-1, 3))).toBe("0");
+    });
+
+    test("OrthoInner validates its arguments", () => {
+        const P = Legendre.handler(int(1));
+        expect(() => OrthoInner.handler(str("Gegenbauer"), P, P)).toThrow();
+        expect(() => OrthoInner.handler(str("Laguerre"), P, P, int(-1))).toThrow();
+        expect(() => OrthoInner.handler(str("Jacobi"), P, P, int(0), int(-2))).toThrow();
+    });
+});
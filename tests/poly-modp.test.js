@@ -0,0 +1,153 @@
+import { describe, test, expect } from "bun:test";
+import { Integer, Rational } from "@ratmath/core";
+import { PolyModPFunctions } from "../src/poly-modp.js";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+const {
+    PolyModP, PolyModPAdd, PolyModPSub, PolyModPMul, PolyModPDiv, PolyModPMod,
+    PolyModPGCD, PolyModPExtGCD, PolyModPInv, PolyModPPowMod, PolyModPMonic,
+    PolyModPEval, PolyModPDer, PolyModPSqfree, PolyModPFactor, PolyModPIrreducible
+} = PolyModPFunctions;
+
+const int = (n) => new Integer(BigInt(n));
+const seq = (...vals) => ({ type: 'sequence', values: vals.map(v => v instanceof Rational ? v : int(v)) });
+const modp = (p, ...vals) => PolyModP.handler(seq(...vals), int(p));
+const coeffStrings = (P) => P.coeffs.values.map(String);
+const factorStrings = (result) => result.values.map(f => [coeffStrings(f.factor), f.multiplicity.toString()]);
+
+describe("Polynomials over GF(p)", () => {
+    test("PolyModP reduces coefficients, including rationals", () => {
+        const P = PolyModP.handler(seq(7, -1, new Rational(1n, 2n)), int(5));
+        expect(P.type).toBe("polymodp");
+        expect(coeffStrings(P)).toEqual(["2", "4", "3"]);   // 1/2 ≡ 3 (mod 5)
+        expect(P.degree).toBe(2);
+        expect(P.modulus.toString()).toBe("5");
+        expect(modp(5, 5, 10).degree).toBe(-1);
+    });
+
+    test("PolyModP requires a prime modulus", () => {
+        expect(() => modp(6, 1, 1)).toThrow();
+        expect(() => modp(1, 1, 1)).toThrow();
+        expect(() => PolyModP.handler(seq(1, 1), 7.5)).toThrow();
+    });
+
+    test("PolyModP checks large prime moduli quickly", () => {
+        const mersenne61 = (1n << 61n) - 1n;
+        expect(PolyModP.handler(seq(1, 1), new Integer(mersenne61)).modulus.toString()).toBe(mersenne61.toString());
+        expect(() => PolyModP.handler(seq(1, 1), new Integer(mersenne61 * 3n))).toThrow();
+        // 2¹²⁷ - 1 is prime; 3215031751 = 151·751·28351 fools bases 2, 3, 5 and 7
+        expect(PolyModP.handler(seq(1), new Integer((1n << 127n) - 1n)).degree).toBe(0);
+        expect(() => PolyModP.handler(seq(1), int(3215031751))).toThrow();
+    });
+
+    test("coefficients must be integers or rationals", () => {
+        expect(() => PolyModP.handler({ type: 'sequence', values: [1.5] }, int(5))).toThrow();
+        expect(coeffStrings(PolyModP.handler({ type: 'sequence', values: [7, 3n] }, int(5)))).toEqual(["2", "3"]);
+    });
+
+    test("PolyModP accepts a Poly and keeps its variable", () => {
+        const P = PolynomialFunctions.Poly.handler(seq(3, 4), "t");
+        const M = PolyModP.handler(P, int(3));
+        expect(coeffStrings(M)).toEqual(["0", "1"]);
+        expect(M.variable).toBe("t");
+    });
+
+    test("arithmetic reduces modulo p", () => {
+        const P = modp(3, 1, 2);      // 1 + 2x
+        const Q = modp(3, 2, 1);      // 2 + x
+        expect(coeffStrings(PolyModPAdd.handler(P, Q))).toEqual(["0"]);
+        expect(coeffStrings(PolyModPSub.handler(P, Q))).toEqual(["2", "1"]);
+        expect(coeffStrings(PolyModPMul.handler(P, Q))).toEqual(["2", "2", "2"]);
+        expect(() => PolyModPAdd.handler(P, modp(5, 1))).toThrow();
+    });
+
+    test("PolyModPDiv satisfies P = quotient·Q + remainder", () => {
+        const P = modp(7, 3, 0, 5, 1, 6);
+        const Q = modp(7, 2, 3);
+        const { quotient, remainder } = PolyModPDiv.handler(P, Q);
+        const back = PolyModPAdd.handler(PolyModPMul.handler(quotient, Q), remainder);
+        expect(coeffStrings(back)).toEqual(coeffStrings(P));
+        expect(remainder.degree).toBeLessThan(1);
+        expect(coeffStrings(PolyModPMod.handler(P, Q))).toEqual(coeffStrings(remainder));
+        expect(() => PolyModPDiv.handler(P, modp(7, 0))).toThrow();
+    });
+
+    test("PolyModPGCD and PolyModPExtGCD", () => {
+        // (x + 1)(x + 2) and (x + 1)(x + 3) over GF(5)
+        const P = modp(5, 2, 3, 1);
+        const Q = modp(5, 3, 4, 1);
+        expect(coeffStrings(PolyModPGCD.handler(P, Q))).toEqual(["1", "1"]);
+        const { gcd, s, t } = PolyModPExtGCD.handler(P, Q);
+        const combo = PolyModPAdd.handler(PolyModPMul.handler(s, P), PolyModPMul.handler(t, Q));
+        expect(coeffStrings(combo)).toEqual(coeffStrings(gcd));
+    });
+
+    test("PolyModPInv inverts in GF(2⁸) (AES field)", () => {
+        const aes = modp(2, 1, 1, 0, 1, 1, 0, 0, 0, 1);   // x⁸ + x⁴ + x³ + x + 1
+        const a = modp(2, 1, 1, 0, 0, 1, 0, 1);           // 0x53
+        const inv = PolyModPInv.handler(a, aes);
+        expect(coeffStrings(inv)).toEqual(["0", "1", "0", "1", "0", "0", "1", "1"]);   // 0xCA
+        expect(() => PolyModPInv.handler(modp(2, 1, 1), modp(2, 1, 0, 1))).toThrow();
+    });
+
+    test("PolyModPPowMod computes Frobenius powers in GF(7³)", () => {
+        const x = modp(7, 0, 1);
+        const m = modp(7, 3, 0, 0, 1);    // x³ + 3
+        const r = PolyModPPowMod.handler(x, int(7 ** 3), m);
+        // m is irreducible, so x^(7³) ≡ x in GF(7)[x]/(m)
+        expect(PolyModPIrreducible.handler(m).toString()).toBe("1");
+        expect(coeffStrings(r)).toEqual(["0", "1"]);
+        expect(coeffStrings(PolyModPPowMod.handler(x, int(3), m))).toEqual(["4"]);
+        expect(() => PolyModPPowMod.handler(x, new Rational(5n, 2n), m)).toThrow();
+        expect(() => PolyModPPowMod.handler(x, int(-1), m)).toThrow();
+    });
+
+    test("PolyModPMonic, PolyModPEval and PolyModPDer", () => {
+        const P = modp(5, 1, 2, 3);
+        expect(coeffStrings(PolyModPMonic.handler(P))).toEqual(["2", "4", "1"]);
+        expect(PolyModPEval.handler(P, int(2)).toString()).toBe("2");   // 17 mod 5
+        expect(P.call(int(2)).toString()).toBe("2");
+        expect(coeffStrings(PolyModPDer.handler(modp(3, 1, 0, 0, 1)))).toEqual(["0"]);   // (x³ + 1)' = 3x² ≡ 0
+    });
+
+    test("PolyModPSqfree handles p-th powers", () => {
+        // x³ + 1 = (x + 1)³ over GF(3); times (x + 2)
+        const P = PolyModPMul.handler(modp(3, 1, 0, 0, 1), modp(3, 2, 1));
+        const result = PolyModPSqfree.handler(P);
+        expect(factorStrings(result)).toEqual([[["2", "1"], "1"], [["1", "1"], "3"]]);
+    });
+
+    test("PolyModPFactor factors x⁷ - 1 over GF(2)", () => {
+        const result = PolyModPFactor.handler(modp(2, 1, 0, 0, 0, 0, 0, 0, 1));
+        expect(factorStrings(result)).toEqual([
+            [["1", "1"], "1"],
+            [["1", "1", "0", "1"], "1"],
+            [["1", "0", "1", "1"], "1"]
+        ]);
+        expect(result.values.every(f => f.factor.irreducible === 1)).toBe(true);
+    });
+
+    test("PolyModPFactor splits xᵖ - x into all linear factors", () => {
+        const result = PolyModPFactor.handler(modp(11, 0, -1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1));
+        expect(result.values.length).toBe(11);
+        expect(result.values.every(f => f.factor.degree === 1)).toBe(true);
+    });
+
+    test("PolyModPFactor recovers factors, multiplicities and lead", () => {
+        // 3 (x² + 1)² (x + 4) over GF(7); x² + 1 is irreducible since -1 is a non-residue mod 7
+        const q = modp(7, 1, 0, 1);
+        const P = PolyModPMul.handler(modp(7, 3), PolyModPMul.handler(PolyModPMul.handler(q, q), modp(7, 4, 1)));
+        const result = PolyModPFactor.handler(P);
+        expect(result.lead.toString()).toBe("3");
+        expect(factorStrings(result)).toEqual([[["4", "1"], "1"], [["1", "0", "1"], "2"]]);
+    });
+
+    test("PolyModPFactor splits equal-degree products", () => {
+        // x⁴ + 1 over GF(5) = (x² + 2)(x² + 3)
+        const result = PolyModPFactor.handler(modp(5, 1, 0, 0, 0, 1));
+        expect(factorStrings(result)).toEqual([[["2", "0", "1"], "1"], [["3", "0", "1"], "1"]]);
+        // x⁴ + x + 1 is irreducible over GF(2), x⁴ + 1 = (x + 1)⁴ is not
+        expect(PolyModPIrreducible.handler(modp(2, 1, 1, 0, 0, 1)).toString()).toBe("1");
+        expect(PolyModPIrreducible.handler(modp(2, 1, 0, 0, 0, 1)).toString()).toBe("0");
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, test, expect } from "bun:test";
+import { Integer, Rational } from "@ratmath/core";
+import { PolyMVFunctions } from "../src/poly-mv.js";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+const {
+    PolyMV, PolyMVFromPoly, PolyMVToPoly, PolyMVAdd, PolyMVSub, PolyMVMul,
+    PolyMVEval, PolyMVSubst, PolyMVDer, PolyMVDeg, PolyMVTerms, PolyMVLeading
+} = PolyMVFunctions;
+
+const num = (v) => v instanceof Rational ? v : new Rational(BigInt(v), 1n);
+const seq = (...vals) => ({ type: 'sequence', values: vals });
+const str = (s) => ({ type: 'string', value: s });
+const vars = (...names) => seq(...names.map(str));
+// mv([[3, 2, 1], [-1, 0, 2]], "x", "y") is 3x²y - y²
+const mv = (terms, ...names) =>
+    PolyMV.handler(seq(...terms.map(t => seq(...t.map(num)))), vars(...names));
+const termStrings = (s) => s.values.map(t => t.values.map(String));
+
+describe("Multivariate Polynomials", () => {
+    test("PolyMV builds a sparse polynomial and combines like terms", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2], [2, 2, 1]], "x", "y");
+        expect(p.type).toBe("polymv");
+        expect(p.variables).toEqual(["x", "y"]);
+        expect(p.terms.size).toBe(2);
+        expect(p.degree).toBe(3);
+        expect(termStrings(PolyMVTerms.handler(p))).toEqual([["5", "2", "1"], ["-1", "0", "2"]]);
+    });
+
+    test("PolyMV validates its input", () => {
+        expect(() => mv([[1, 2]], "x", "y")).toThrow();
+        expect(() => mv([[1, -1, 0]], "x", "y")).toThrow();
+        expect(() => mv([[1, 1, 1]], "x", "x")).toThrow();
+        // Fractional exponents are rejected, not truncated
+        expect(() => mv([[1, new Rational(5n, 2n), 0]], "x", "y")).toThrow("non-negative integers");
+    });
+
+    test("PolyMVAdd and PolyMVSub merge variables by name", () => {
+        const p = mv([[1, 1, 0], [1, 0, 1]], "x", "y");   // x + y
+        const q = mv([[1, 1, 0], [2, 0, 1]], "y", "z");   // y + 2z
+        const sum = PolyMVAdd.handler(p, q);
+        expect(sum.variables).toEqual(["x", "y", "z"]);
+        expect(termStrings(PolyMVTerms.handler(sum, str("lex")))).toEqual([
+            ["1", "1", "0", "0"], ["2", "0", "1", "0"], ["2", "0", "0", "1"]
+        ]);
+        const diff = PolyMVSub.handler(p, p);
+        expect(diff.terms.size).toBe(0);
+        expect(diff.degree).toBe(-1);
+    });
+
+    test("PolyMVMul expands (x + y)(x - y)", () => {
+        const p = mv([[1, 1, 0], [1, 0, 1]], "x", "y");
+        const q = mv([[1, 1, 0], [-1, 0, 1]], "x", "y");
+        const prod = PolyMVMul.handler(p, q);
+        expect(termStrings(PolyMVTerms.handler(prod))).toEqual([["1", "2", "0"], ["-1", "0", "2"]]);
+    });
+
+    test("PolyMVEval evaluates at a point with rational values", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2]], "x", "y");
+        expect(PolyMVEval.handler(p, seq(num(2), num(3))).toString()).toBe("27");
+        expect(PolyMVEval.handler(p, seq(new Rational(1n, 2n), num(1))).toString()).toBe("-1/4");
+        expect(() => PolyMVEval.handler(p, seq(num(1)))).toThrow();
+    });
+
+    test("PolyMVSubst removes the substituted variable", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2]], "x", "y");
+        const r = PolyMVSubst.handler(p, str("y"), num(2));   // 6x² - 4
+        expect(r.variables).toEqual(["x"]);
+        expect(termStrings(PolyMVTerms.handler(r))).toEqual([["6", "2"], ["-4", "0"]]);
+        expect(() => PolyMVSubst.handler(p, str("z"), num(1))).toThrow();
+    });
+
+    test("PolyMVDer takes partial derivatives", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2]], "x", "y");
+        expect(termStrings(PolyMVTerms.handler(PolyMVDer.handler(p, str("x"))))).toEqual([["6", "1", "1"]]);
+        expect(termStrings(PolyMVTerms.handler(PolyMVDer.handler(p, str("y"))))).toEqual([
+            ["3", "2", "0"], ["-2", "0", "1"]
+        ]);
+        expect(PolyMVDer.handler(p, str("y"), num(3)).terms.size).toBe(0);
+        expect(() => PolyMVDer.handler(p, str("y"), new Rational(5n, 2n))).toThrow();
+    });
+
+    test("PolyMVDeg reports total and per-variable degree", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2]], "x", "y");
+        expect(PolyMVDeg.handler(p).toString()).toBe("3");
+        expect(PolyMVDeg.handler(p, str("x")).toString()).toBe("2");
+        expect(PolyMVDeg.handler(p, str("y")).toString()).toBe("2");
+    });
+
+    test("lex and grevlex orders rank terms differently", () => {
+        // Terms x³, x y z, y⁴ in variables x, y, z
+        const p = mv([[1, 3, 0, 0], [1, 1, 1, 1], [1, 0, 4, 0]], "x", "y", "z");
+        expect(termStrings(PolyMVTerms.handler(p, str("lex")))).toEqual([
+            ["1", "3", "0", "0"], ["1", "1", "1", "1"], ["1", "0", "4", "0"]
+        ]);
+        expect(termStrings(PolyMVTerms.handler(p, str("grevlex")))).toEqual([
+            ["1", "0", "4", "0"], ["1", "3", "0", "0"], ["1", "1", "1", "1"]
+        ]);
+        expect(PolyMVLeading.handler(p, str("lex")).values.map(String)).toEqual(["1", "3", "0", "0"]);
+        expect(() => PolyMVTerms.handler(p, str("deglex"))).toThrow();
+    });
+
+    test("grevlex breaks degree ties on the last variable", () => {
+        // x²z and x y² have equal degree; the one with less z is larger
+        const p = mv([[1, 2, 0, 1], [1, 1, 2, 0]], "x", "y", "z");
+        expect(termStrings(PolyMVTerms.handler(p))).toEqual([["1", "1", "2", "0"], ["1", "2", "0", "1"]]);
+    });
+
+    test("converts losslessly to and from univariate Poly", () => {
+        const P = PolynomialFunctions.Poly.handler(seq(num(1), num(0), new Rational(-3n, 4n)), "t");
+        const m = PolyMVFromPoly.handler(P);
+        expect(m.variables).toEqual(["t"]);
+        const back = PolyMVToPoly.handler(m);
+        expect(back.variable).toBe("t");
+        expect(back.coeffs.values.map(String)).toEqual(["1", "0", "-3/4"]);
+    });
+
+    test("PolyMVToPoly works once substitution leaves one variable", () => {
+        const p = mv([[3, 2, 1], [-1, 0, 2]], "x", "y");
+        const r = PolyMVToPoly.handler(PolyMVSubst.handler(p, str("x"), num(1)));   // 3y - y²
+        expect(r.variable).toBe("y");
+        expect(r.coeffs.values.map(String)).toEqual(["0", "3", "-1"]);
+        expect(() => PolyMVToPoly.handler(p)).toThrow();
+    });
+
+    test("univariate polynomials mix into multivariate arithmetic", () => {
+        const P = PolynomialFunctions.Poly.handler(seq(num(1), num(1)));   // 1 + x
+        const q = mv([[1, 1]], "y");
+        const prod = PolyMVMul.handler(P, q);   // y + x y
+        expect(prod.variables).toEqual(["x", "y"]);
+        expect(PolyMVEval.handler(prod, seq(num(2), num(5))).toString()).toBe("15");
+        expect(PolyMVAdd.handler(q, new Integer(4n)).degree).toBe(1);
+    });
+});
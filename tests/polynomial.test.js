@@ -1,6 +1,16 @@
 import { describe, test, expect, beforeEach } from "bun:test";
 import { VariableManager } from "@ratmath/algebra";
 import { Integer, Rational } from "@ratmath/core";
+import { PolynomialFunctions } from "../src/polynomial.js";
+
+// Polynomial objects can't yet round-trip through the VariableManager,
+// so these helpers call the handlers directly.
+const seq = (...vals) => ({
+    type: 'sequence',
+    values: vals.map(v => v instanceof Rational ? v : new Rational(BigInt(v), 1n))
+});
+const poly = (...vals) => PolynomialFunctions.Poly.handler(seq(...vals));
+const coeffStrings = (p) => p.coeffs.values.map(c => c.toString());
 
 describe("Polynomial Functions", () => {
     let vm;
@@ -280,3 +290,1409 @@ describe("Root Finding & Analysis", () => {
         });
     });
 });
+
+describe("Zero Polynomial", () => {
+    const { PolyDeg, PolySub } = PolynomialFunctions;
+
+    test("has degree -1 however it is built", () => {
+        const P = poly(1, 2, 3);
+        expect(poly(0).degree).toBe(-1);
+        expect(poly(0, 0, 0).degree).toBe(-1);
+        expect(PolyDeg.handler(poly(0)).toString()).toBe("-1");
+        expect(PolyDeg.handler(PolySub.handler(P, P)).toString()).toBe("-1");
+        expect(PolyDeg.handler(seq(0, 0)).toString()).toBe("-1");
+        expect(poly(0).call(new Rational(5n, 1n)).toString()).toBe("0");
+    });
+});
+
+describe("Polynomial Long Division", () => {
+    const { PolyDiv, PolyMod } = PolynomialFunctions;
+
+    test("PolyDiv divides by a linear factor exactly", () => {
+        // (x³ - 6x² + 11x - 6) / (x - 1) = x² - 5x + 6
+        const result = PolyDiv.handler(poly(-6, 11, -6, 1), poly(-1, 1));
+        expect(coeffStrings(result.quotient)).toEqual(["6", "-5", "1"]);
+        expect(result.remainder.degree).toBe(-1);
+    });
+
+    test("PolyDiv returns rational quotient and remainder", () => {
+        // (3x² + 2x + 1) / (2x + 1) = (3/2)x + 1/4, remainder 3/4
+        const result = PolyDiv.handler(poly(1, 2, 3), poly(1, 2));
+        expect(coeffStrings(result.quotient)).toEqual(["1/4", "3/2"]);
+        expect(coeffStrings(result.remainder)).toEqual(["3/4"]);
+        expect(result.quotient.type).toBe("polynomial");
+        expect(result.quotient.degree).toBe(1);
+        expect(result.quotient.variable).toBe("x");
+    });
+
+    test("PolyDiv with divisor of higher degree gives zero quotient", () => {
+        const result = PolyDiv.handler(poly(1, 1), poly(1, 0, 1));
+        expect(result.quotient.degree).toBe(-1);
+        expect(coeffStrings(result.remainder)).toEqual(["1", "1"]);
+    });
+
+    test("PolyDiv keeps the dividend's variable", () => {
+        const p = PolynomialFunctions.Poly.handler(seq(-1, 0, 1), "t");
+        const result = PolyDiv.handler(p, PolynomialFunctions.Poly.handler(seq(1, 1), "t"));
+        expect(result.quotient.variable).toBe("t");
+        expect(result.remainder.variable).toBe("t");
+    });
+
+    test("binary operations reject polynomials in different variables", () => {
+        const { Poly, PolyAdd, PolySub, PolyMul, PolyGCD } = PolynomialFunctions;
+        const p = Poly.handler(seq(-1, 0, 1), "t");
+        const q = poly(1, 1);
+        expect(() => PolyAdd.handler(p, q)).toThrow(/different variables: t and x/);
+        expect(() => PolySub.handler(q, p)).toThrow(/different variables: x and t/);
+        expect(() => PolyMul.handler(p, q)).toThrow(/different variables/);
+        expect(() => PolyDiv.handler(p, q)).toThrow(/different variables/);
+        expect(() => PolyGCD.handler(p, q)).toThrow(/different variables/);
+        // A constant takes the other operand's variable
+        expect(PolyAdd.handler(poly(3), p).variable).toBe("t");
+        expect(PolyMul.handler(p, poly(2)).variable).toBe("t");
+        expect(PolyDiv.handler(p, poly(2)).quotient.variable).toBe("t");
+    });
+
+    test("PolyMod returns the remainder", () => {
+        // x⁴ + 1 mod (x² + 1) = 2
+        const result = PolyMod.handler(poly(1, 0, 0, 0, 1), poly(1, 0, 1));
+        expect(coeffStrings(result)).toEqual(["2"]);
+        expect(result.degree).toBe(0);
+    });
+
+    test("PolyMod by zero polynomial throws", () => {
+        expect(() => PolyMod.handler(poly(1, 2, 3), poly(0))).toThrow("Polynomial division by zero");
+        expect(() => PolyDiv.handler(poly(1, 2, 3), poly(0, 0))).toThrow("Polynomial division by zero");
+    });
+});
+
+describe("Polynomial GCD", () => {
+    const { PolyGCD, PolyExtGCD, PolyMul, PolyAdd } = PolynomialFunctions;
+
+    test("PolyGCD finds common linear factor", () => {
+        // gcd(x² - 1, x² - 3x + 2) = x - 1
+        const result = PolyGCD.handler(poly(-1, 0, 1), poly(2, -3, 1));
+        expect(coeffStrings(result)).toEqual(["-1", "1"]);
+        expect(result.type).toBe("polynomial");
+        expect(result.degree).toBe(1);
+    });
+
+    test("PolyGCD is monic for rational inputs", () => {
+        // gcd(2x² - 2, (1/2)x + 1/2) = x + 1
+        const result = PolyGCD.handler(poly(-2, 0, 2), seq(new Rational(1n, 2n), new Rational(1n, 2n)));
+        expect(coeffStrings(result)).toEqual(["1", "1"]);
+    });
+
+    test("PolyGCD of coprime polynomials is 1", () => {
+        const result = PolyGCD.handler(poly(1, 0, 1), poly(-1, 1));
+        expect(coeffStrings(result)).toEqual(["1"]);
+        expect(result.degree).toBe(0);
+    });
+
+    test("PolyGCD handles degree-30 inputs without blow-up", () => {
+        // A·B and A·C with A of degree 10, B and C of degree 20
+        const a = poly(3, -1, 4, 1, -5, 9, 2, -6, 5, 3, 2);
+        const b = poly(1, 2, 0, -3, 1, 1, 0, 7, -2, 1, 1, 4, 0, -1, 2, 3, 1, -1, 0, 2, 5);
+        const c = poly(-2, 1, 1, 0, 5, -3, 2, 2, 1, 0, -1, 1, 3, 0, 2, -4, 1, 1, 0, 1, 3);
+        const result = PolyGCD.handler(PolyMul.handler(a, b), PolyMul.handler(a, c));
+        // Monic version of A
+        expect(result.degree).toBe(10);
+        expect(coeffStrings(result)).toEqual(["3/2", "-1/2", "2", "1/2", "-5/2", "9/2", "1", "-3", "5/2", "3/2", "1"]);
+    });
+
+    test("PolyExtGCD returns Bezout cofactors", () => {
+        const p = poly(-1, 0, 1);    // x² - 1
+        const q = poly(2, -3, 1);    // x² - 3x + 2
+        const result = PolyExtGCD.handler(p, q);
+        expect(coeffStrings(result.gcd)).toEqual(["-1", "1"]);
+        const combo = PolyAdd.handler(PolyMul.handler(result.s, p), PolyMul.handler(result.t, q));
+        expect(coeffStrings(combo)).toEqual(coeffStrings(result.gcd));
+    });
+
+    test("PolyExtGCD cofactors for coprime inputs give 1", () => {
+        const p = poly(1, 0, 1);     // x² + 1
+        const q = poly(1, 2, 3);     // 3x² + 2x + 1
+        const result = PolyExtGCD.handler(p, q);
+        expect(coeffStrings(result.gcd)).toEqual(["1"]);
+        const combo = PolyAdd.handler(PolyMul.handler(result.s, p), PolyMul.handler(result.t, q));
+        expect(coeffStrings(combo)).toEqual(["1"]);
+        expect(result.values.length).toBe(3);
+    });
+});
+
+describe("Polynomial Composition and Substitution", () => {
+    const { PolyCompose, PolySubst, PolyRebase } = PolynomialFunctions;
+
+    test("PolyCompose computes P(Q(x))", () => {
+        // P = x², Q = 1 + x: (1 + x)² = 1 + 2x + x²
+        const result = PolyCompose.handler(poly(0, 0, 1), poly(1, 1));
+        expect(coeffStrings(result)).toEqual(["1", "2", "1"]);
+        expect(result.degree).toBe(2);
+    });
+
+    test("PolyCompose multiplies degrees", () => {
+        // P = x² + 1, Q = x² - x: (x² - x)² + 1 = x⁴ - 2x³ + x² + 1
+        const result = PolyCompose.handler(poly(1, 0, 1), poly(0, -1, 1));
+        expect(coeffStrings(result)).toEqual(["1", "0", "1", "-2", "1"]);
+        expect(result.degree).toBe(4);
+    });
+
+    test("PolyCompose keeps the outer polynomial's variable", () => {
+        const p = PolynomialFunctions.Poly.handler(seq(0, 1, 1), "t");
+        const result = PolyCompose.handler(p, poly(2, 3));
+        expect(result.variable).toBe("t");
+    });
+
+    test("PolyCompose with x + a agrees with PolyRebase", () => {
+        const p = poly(-8, 12, -6, 1);
+        const composed = PolyCompose.handler(p, poly(2, 1));
+        const rebased = PolyRebase.handler(p, new Integer(2n));
+        expect(coeffStrings(composed)).toEqual(["0", "0", "0", "1"]);
+        expect(coeffStrings(rebased)).toEqual(coeffStrings(composed));
+    });
+
+    test("PolySubst computes P(a·x + b)", () => {
+        // P = x² - 1, P(2x + 1) = 4x² + 4x
+        const result = PolySubst.handler(poly(-1, 0, 1), new Integer(2n), new Integer(1n));
+        expect(coeffStrings(result)).toEqual(["0", "4", "4"]);
+    });
+
+    test("PolySubst matches PolyCompose with a linear polynomial", () => {
+        const p = poly(3, -1, 4, 1, -5);
+        const a = new Rational(-1n, 2n);
+        const b = new Rational(3n, 1n);
+        const substituted = PolySubst.handler(p, a, b);
+        const composed = PolyCompose.handler(p, seq(b, a));
+        expect(coeffStrings(substituted)).toEqual(coeffStrings(composed));
+    });
+});
+
+describe("Square-Free Factorization", () => {
+    const { PolySqfree, PolyMul } = PolynomialFunctions;
+
+    test("PolySqfree separates factors by multiplicity", () => {
+        // (x - 1)(x + 2)²(x - 3)³
+        const p = PolyMul.handler(
+            PolyMul.handler(poly(-1, 1), PolyMul.handler(poly(2, 1), poly(2, 1))),
+            PolyMul.handler(poly(-3, 1), PolyMul.handler(poly(-3, 1), poly(-3, 1)))
+        );
+        const result = PolySqfree.handler(p);
+        expect(result.values.length).toBe(3);
+        expect(coeffStrings(result.values[0].factor)).toEqual(["-1", "1"]);
+        expect(result.values[0].multiplicity.toString()).toBe("1");
+        expect(coeffStrings(result.values[1].factor)).toEqual(["2", "1"]);
+        expect(result.values[1].multiplicity.toString()).toBe("2");
+        expect(coeffStrings(result.values[2].factor)).toEqual(["-3", "1"]);
+        expect(result.values[2].multiplicity.toString()).toBe("3");
+    });
+
+    test("PolySqfree groups factors of equal multiplicity and keeps the leading coefficient", () => {
+        // 2(x² + 1)²(x - 1)² = 2((x² + 1)(x - 1))²
+        const base = PolyMul.handler(poly(1, 0, 1), poly(-1, 1));
+        const p = PolyMul.handler(poly(2), PolyMul.handler(base, base));
+        const result = PolySqfree.handler(p);
+        expect(result.values.length).toBe(1);
+        expect(coeffStrings(result.values[0].factor)).toEqual(["-1", "1", "-1", "1"]);
+        expect(result.values[0].multiplicity.toString()).toBe("2");
+        expect(result.lead.toString()).toBe("2");
+    });
+
+    test("PolySqfree factors carry the input variable", () => {
+        const p = PolynomialFunctions.Poly.handler(seq(0, 0, 1), "t");
+        const result = PolySqfree.handler(p);
+        expect(result.values[0].factor.variable).toBe("t");
+        expect(result.values[0].multiplicity.toString()).toBe("2");
+    });
+
+    test("PolySqfree of a constant is empty", () => {
+        const result = PolySqfree.handler(poly(5));
+        expect(result.values.length).toBe(0);
+        expect(result.lead.toString()).toBe("5");
+    });
+});
+
+describe("Factorization over Q", () => {
+    const { PolyFactor, PolyMul } = PolynomialFunctions;
+    const factorStrings = (result) => result.values.map(pair =>
+        `${coeffStrings(pair.factor).join(",")}^${pair.multiplicity}`
+    );
+
+    test("PolyFactor splits x⁴ - 1 into (x - 1)(x + 1)(x² + 1)", () => {
+        const result = PolyFactor.handler(poly(-1, 0, 0, 0, 1));
+        expect(factorStrings(result)).toEqual(["-1,1^1", "1,1^1", "1,0,1^1"]);
+        expect(result.content.toString()).toBe("1");
+    });
+
+    test("PolyFactor marks factors irreducible", () => {
+        const result = PolyFactor.handler(poly(-1, 0, 0, 0, 1));
+        for (const pair of result.values) {
+            expect(pair.factor.irreducible).toBe(1);
+            expect(pair.factor.type).toBe("polynomial");
+        }
+    });
+
+    test("PolyFactor finds non-monic linear factors", () => {
+        // 6x² + x - 2 = (2x - 1)(3x + 2)
+        const result = PolyFactor.handler(poly(-2, 1, 6));
+        expect(factorStrings(result)).toEqual(["-1,2^1", "2,3^1"]);
+    });
+
+    test("PolyFactor finds irreducible quadratic factors", () => {
+        // x⁴ + 4 = (x² - 2x + 2)(x² + 2x + 2)
+        const result = PolyFactor.handler(poly(4, 0, 0, 0, 1));
+        expect(factorStrings(result)).toEqual(["2,-2,1^1", "2,2,1^1"]);
+    });
+
+    test("PolyFactor leaves irreducible polynomials whole", () => {
+        const result = PolyFactor.handler(poly(1, 0, 0, 0, 1));
+        expect(factorStrings(result)).toEqual(["1,0,0,0,1^1"]);
+    });
+
+    test("PolyFactor extracts rational content and multiplicities", () => {
+        // -(1/2)·x²·(x² + x + 1)²
+        const q = poly(1, 1, 1);
+        const p = PolyMul.handler(
+            seq(0, 0, new Rational(-1n, 2n)),
+            PolyMul.handler(q, q)
+        );
+        const result = PolyFactor.handler(p);
+        expect(factorStrings(result)).toEqual(["0,1^2", "1,1,1^2"]);
+        expect(result.content.toString()).toBe("-1/2");
+    });
+
+    test("PolyFactor factors a sextic into cubics", () => {
+        // (x³ + 2x + 1)(x³ - x + 3)
+        const p = PolyMul.handler(poly(1, 2, 0, 1), poly(3, -1, 0, 1));
+        const result = PolyFactor.handler(p);
+        expect(factorStrings(result)).toEqual(["1,2,0,1^1", "3,-1,0,1^1"]);
+    });
+
+    test("PolyFactor splits a product of two sextics by modular factoring", () => {
+        // (x⁶ - 3x⁵ + x² - 7)(x⁶ + 2x⁴ - 5x + 1): exponential for Kronecker's method
+        const p = PolyMul.handler(poly(-7, 0, 1, 0, 0, -3, 1), poly(1, -5, 0, 0, 2, 0, 1));
+        const result = PolyFactor.handler(p);
+        expect(factorStrings(result)).toEqual(["-7,0,1,0,0,-3,1^1", "1,-5,0,0,2,0,1^1"]);
+    });
+
+    test("PolyFactor recombines modular factors", () => {
+        // x⁴ - 10x² + 1 is irreducible over Q but splits modulo every prime
+        const p = PolyMul.handler(poly(1, 0, -10, 0, 1), poly(-2, 0, 1));
+        expect(factorStrings(PolyFactor.handler(p))).toEqual(["-2,0,1^1", "1,0,-10,0,1^1"]);
+        // x¹² - 3x⁶ + 1 = (x⁶ - x³ - 1)(x⁶ + x³ - 1)
+        const q = PolyFactor.handler(poly(1, 0, 0, 0, 0, 0, -3, 0, 0, 0, 0, 0, 1));
+        expect(factorStrings(q)).toEqual(["-1,0,0,-1,0,0,1^1", "-1,0,0,1,0,0,1^1"]);
+    });
+
+    test("PolyFactor handles large coefficients", () => {
+        // (x - 10000000019)(x² + 10000000019) and the irreducible x² - 2·10²⁰
+        const p = PolyMul.handler(poly(-10000000019, 1), poly(10000000019, 0, 1));
+        expect(factorStrings(PolyFactor.handler(p))).toEqual(["-10000000019,1^1", "10000000019,0,1^1"]);
+        const big = PolyFactor.handler(seq(new Rational(-(2n * 10n ** 20n), 1n), 0, 1));
+        expect(factorStrings(big)).toEqual(["-200000000000000000000,0,1^1"]);
+    });
+});
+
+describe("Sturm Sequences", () => {
+    const { PolySturm, PolyRootCount, PolyMul } = PolynomialFunctions;
+    const count = (p, a, b) => PolyRootCount.handler(p, a, b).toString();
+
+    test("PolySturm builds the chain for x³ - 3x + 1", () => {
+        const result = PolySturm.handler(poly(1, -3, 0, 1));
+        expect(result.values.map(coeffStrings)).toEqual([
+            ["1", "-3", "0", "1"],
+            ["-3", "0", "3"],
+            ["-1", "2"],
+            ["9/4"]
+        ]);
+        expect(result.values[1].type).toBe("polynomial");
+    });
+
+    test("PolyRootCount counts all real roots by default", () => {
+        expect(count(poly(1, -3, 0, 1))).toBe("3");
+        expect(count(poly(1, 0, 1))).toBe("0");
+        expect(count(poly(-2, 0, 1), "-inf", "inf")).toBe("2");
+    });
+
+    test("PolyRootCount counts roots in a half-open interval (a, b]", () => {
+        // (x - 1)(x - 2)(x - 3)
+        const p = poly(-6, 11, -6, 1);
+        expect(count(p, new Integer(1n), new Integer(3n))).toBe("2");
+        expect(count(p, new Integer(0n), new Integer(1n))).toBe("1");
+        expect(count(p, new Integer(1n), new Integer(2n))).toBe("1");
+        expect(count(p, new Rational(3n, 2n), new Rational(5n, 2n))).toBe("1");
+        expect(count(p, new Integer(3n), "inf")).toBe("0");
+    });
+
+    test("PolyRootCount separates irrational roots", () => {
+        // x² - 2 has roots ±√2
+        const p = poly(-2, 0, 1);
+        expect(count(p, new Integer(0n), new Rational(141n, 100n))).toBe("0");
+        expect(count(p, new Integer(0n), new Rational(142n, 100n))).toBe("1");
+        expect(count(p, "-inf", new Integer(0n))).toBe("1");
+    });
+
+    test("PolyRootCount counts repeated roots once", () => {
+        // (x - 1)²(x + 2)³
+        const a = PolyMul.handler(poly(-1, 1), poly(-1, 1));
+        const b = PolyMul.handler(poly(2, 1), PolyMul.handler(poly(2, 1), poly(2, 1)));
+        const p = PolyMul.handler(a, b);
+        expect(count(p)).toBe("2");
+        expect(count(p, new Integer(-2n), new Integer(1n))).toBe("1");
+        expect(count(p, new Integer(-3n), new Integer(-2n))).toBe("1");
+    });
+
+    test("PolyRootCount rejects a > b", () => {
+        expect(() => PolyRootCount.handler(poly(-2, 0, 1), new Integer(2n), new Integer(1n))).toThrow();
+    });
+});
+
+describe("Real Root Isolation", () => {
+    const { PolyRoots, PolyMul } = PolynomialFunctions;
+
+    test("PolyRoots returns rational roots exactly", () => {
+        // (x - 1)(x - 2)(x - 3)
+        const result = PolyRoots.handler(poly(-6, 11, -6, 1));
+        expect(result.values.map(r => r.root.toString())).toEqual(["1", "2", "3"]);
+        expect(result.values.every(r => r.exact === 1)).toBe(true);
+    });
+
+    test("PolyRoots isolates irrational roots to the requested precision", () => {
+        // x³ - 2x = x(x² - 2)
+        const precision = new Rational(1n, 10000n);
+        const result = PolyRoots.handler(poly(0, -2, 0, 1), precision);
+        expect(result.values.length).toBe(3);
+
+        const [neg, zero, pos] = result.values;
+        expect(zero.exact).toBe(1);
+        expect(zero.root.toString()).toBe("0");
+
+        for (const r of [neg, pos]) {
+            expect(r.exact).toBe(0);
+            expect(r.root.high.subtract(r.root.low).compareTo(precision)).toBeLessThan(0);
+        }
+        // √2 ≈ 1.41421356: low² < 2 < high²
+        const two = new Rational(2n, 1n);
+        expect(pos.root.low.multiply(pos.root.low).compareTo(two)).toBeLessThan(0);
+        expect(pos.root.high.multiply(pos.root.high).compareTo(two)).toBeGreaterThan(0);
+        expect(neg.root.high.compareTo(new Rational(0n, 1n))).toBeLessThan(0);
+    });
+
+    test("PolyRoots reports multiplicities", () => {
+        // (x - 1)²(x² - 2)
+        const p = PolyMul.handler(PolyMul.handler(poly(-1, 1), poly(-1, 1)), poly(-2, 0, 1));
+        const result = PolyRoots.handler(p);
+        expect(result.values.map(r => r.multiplicity.toString())).toEqual(["1", "2", "1"]);
+        expect(result.values[1].root.toString()).toBe("1");
+    });
+
+    test("PolyRoots keeps nearby roots in disjoint intervals", () => {
+        // (x² - 2)(100x - 141): 141/100 lies just below √2
+        const p = PolyMul.handler(poly(-2, 0, 1), poly(-141, 100));
+        const result = PolyRoots.handler(p, new Integer(1n));
+        expect(result.values.length).toBe(3);
+        const [, rational, sqrt2] = result.values;
+        expect(rational.root.toString()).toBe("141/100");
+        expect(sqrt2.root.low.compareTo(rational.root)).toBeGreaterThan(0);
+    });
+
+    test("PolyRoots returns nothing when there are no real roots", () => {
+        expect(PolyRoots.handler(poly(1, 0, 1)).values.length).toBe(0);
+    });
+
+    test("PolyRoots isolates high-degree products without factoring them", () => {
+        // Two irreducible octics: a full factorization of the product is exponential
+        const p = PolynomialFunctions.Poly.handler({ type: 'string', value: "(x^8 - 2x^3 + 5x - 1)(x^8 + 3x^5 - x^2 - 11)" });
+        const result = PolyRoots.handler(p);
+        expect(result.values.length).toBe(4);
+        for (const r of result.values) {
+            expect(r.exact).toBe(0);
+            const low = PolynomialFunctions.PolyEval.handler(p, r.root.low);
+            const high = PolynomialFunctions.PolyEval.handler(p, r.root.high);
+            expect(low.multiply(high).compareTo(new Rational(0n, 1n))).toBeLessThan(0);
+        }
+    });
+
+    test("PolyRoots finds rational roots with large prime numerator and denominator", () => {
+        // (999999937x - 1000000007)²(x² - 2)
+        const linear = poly(-1000000007, 999999937);
+        const result = PolyRoots.handler(PolyMul.handler(PolyMul.handler(linear, linear), poly(-2, 0, 1)));
+        expect(result.values.map(r => r.root.toString())[1]).toBe("1000000007/999999937");
+        expect(result.values.map(r => r.multiplicity.toString())).toEqual(["1", "2", "1"]);
+    });
+});
+
+describe("Root Bounds", () => {
+    const { PolyBounds } = PolynomialFunctions;
+
+    test("PolyBounds gives labelled bounds on all roots", () => {
+        // x² - 5x + 6 = (x - 2)(x - 3)
+        const result = PolyBounds.handler(poly(6, -5, 1));
+        expect(result.cauchy.method).toBe("Cauchy");
+        expect(result.cauchy.bound.toString()).toBe("7");
+        expect(result.lagrange.bound.toString()).toBe("11");
+        // 2·max(5, ⌈√3⌉)
+        expect(result.fujiwara.bound.toString()).toBe("10");
+    });
+
+    test("PolyBounds gives one-sided bounds for real roots", () => {
+        const result = PolyBounds.handler(poly(6, -5, 1));
+        expect(result.positive.method).toBe("Lagrange-Maclaurin");
+        expect(result.positive.bound.toString()).toBe("6");
+        // No sign changes in P(-x): no negative roots
+        expect(result.negative.bound.toString()).toBe("0");
+    });
+
+    test("PolyBounds rounds fractional roots up to rationals", () => {
+        // x³ - 2: roots have |z| = ∛2 ≈ 1.26
+        const result = PolyBounds.handler(poly(-2, 0, 0, 1));
+        expect(result.fujiwara.bound.toString()).toBe("2");
+        expect(result.positive.bound.toString()).toBe("3");
+        expect(result.negative.bound.toString()).toBe("0");
+        const bound = result.fujiwara.bound;
+        expect(bound.multiply(bound).multiply(bound).compareTo(new Rational(2n, 1n))).toBeGreaterThan(0);
+    });
+
+    test("PolyBounds bounds contain every real root", () => {
+        // x³ - 7x + 6 = (x - 1)(x - 2)(x + 3)
+        const result = PolyBounds.handler(poly(6, -7, 0, 1));
+        for (const key of ["cauchy", "lagrange", "fujiwara"]) {
+            expect(result[key].bound.compareTo(new Rational(3n, 1n))).toBeGreaterThanOrEqual(0);
+        }
+        expect(result.positive.bound.compareTo(new Rational(2n, 1n))).toBeGreaterThan(0);
+        expect(result.negative.bound.compareTo(new Rational(-3n, 1n))).toBeLessThan(0);
+    });
+
+    test("PolyBounds rejects constants", () => {
+        expect(() => PolyBounds.handler(poly(5))).toThrow();
+    });
+});
+
+describe("Critical Points and Extrema", () => {
+    const { PolyCritical, PolyInflection, PolyMax, PolyMin } = PolynomialFunctions;
+    const int = (n) => new Integer(BigInt(n));
+
+    test("PolyCritical finds and classifies rational critical points", () => {
+        // x³ - 3x: P' = 3(x - 1)(x + 1)
+        const result = PolyCritical.handler(poly(0, -3, 0, 1));
+        expect(result.values.map(c => c.point.toString())).toEqual(["-1", "1"]);
+        expect(result.values.map(c => c.kind)).toEqual(["max", "min"]);
+    });
+
+    test("PolyCritical reports stationary points without extremum", () => {
+        // x³: P' = 3x² has a double root at 0
+        const result = PolyCritical.handler(poly(0, 0, 0, 1));
+        expect(result.values.length).toBe(1);
+        expect(result.values[0].kind).toBe("stationary");
+        expect(result.values[0].multiplicity.toString()).toBe("2");
+    });
+
+    test("PolyCritical isolates irrational critical points", () => {
+        // x³ - 2x: P' = 3x² - 2, roots ±√(2/3)
+        const result = PolyCritical.handler(poly(0, -2, 0, 1), new Rational(1n, 100n));
+        expect(result.values.map(c => c.exact)).toEqual([0, 0]);
+        expect(result.values.map(c => c.kind)).toEqual(["max", "min"]);
+        const { low, high } = result.values[1].point;
+        const target = new Rational(2n, 3n);
+        expect(low.multiply(low).compareTo(target)).toBeLessThan(0);
+        expect(high.multiply(high).compareTo(target)).toBeGreaterThan(0);
+    });
+
+    test("PolyInflection finds sign changes of P''", () => {
+        // x⁴ - 6x²: P'' = 12x² - 12
+        const result = PolyInflection.handler(poly(0, 0, -6, 0, 1));
+        expect(result.values.map(c => c.point.toString())).toEqual(["-1", "1"]);
+        // x⁴: P'' = 12x² does not change sign
+        expect(PolyInflection.handler(poly(0, 0, 0, 0, 1)).values.length).toBe(0);
+    });
+
+    test("PolyMax and PolyMin compare endpoints and critical points exactly", () => {
+        // x³ - 3x on [-2, 2]: max 2 at -1 and 2, min -2 at -2 and 1
+        const p = poly(0, -3, 0, 1);
+        const max = PolyMax.handler(p, int(-2), int(2));
+        expect(max.value.toString()).toBe("2");
+        expect(max.exact).toBe(1);
+        expect(max.at.values.map(String)).toEqual(["-1", "2"]);
+
+        const min = PolyMin.handler(p, int(-2), int(2));
+        expect(min.value.toString()).toBe("-2");
+        expect(min.at.values.map(String)).toEqual(["-2", "1"]);
+    });
+
+    test("PolyMax encloses an irrational maximum", () => {
+        // 2x - x³ on [0, 2]: max (4/3)√(2/3) at x = √(2/3)
+        const precision = new Rational(1n, 10000n);
+        const result = PolyMax.handler(poly(0, 2, 0, -1), int(0), int(2), precision);
+        expect(result.exact).toBe(0);
+        const { low, high } = result.value;
+        expect(high.subtract(low).compareTo(precision)).toBeLessThan(0);
+        // value² = 32/27
+        const target = new Rational(32n, 27n);
+        expect(low.multiply(low).compareTo(target)).toBeLessThan(0);
+        expect(high.multiply(high).compareTo(target)).toBeGreaterThan(0);
+        expect(result.at.values.length).toBe(1);
+    });
+
+    test("PolyMin on an interval without critical points uses the endpoints", () => {
+        const result = PolyMin.handler(poly(1, 1), int(3), int(5));
+        expect(result.value.toString()).toBe("4");
+        expect(result.at.values.map(String)).toEqual(["3"]);
+    });
+
+    test("PolyMin counts a critical point on the boundary once", () => {
+        // x³ - 3x on [1, 2]: P'(1) = 0
+        const result = PolyMin.handler(poly(0, -3, 0, 1), int(1), int(2));
+        expect(result.value.toString()).toBe("-2");
+        expect(result.at.values.map(String)).toEqual(["1"]);
+    });
+
+    test("PolyCritical and PolyMax handle degree 13 without factoring P'", () => {
+        // P' is a product of two irreducible sextics
+        const { Poly, PolyMul, PolyInt, PolyEval } = PolynomialFunctions;
+        const text = (value) => Poly.handler({ type: 'string', value });
+        const p = PolyInt.handler(PolyMul.handler(text("x^6 - 3x^5 + x^2 - 7"), text("x^6 + 2x^4 - 5x + 1")));
+        const critical = PolyCritical.handler(p);
+        expect(critical.values.map(c => c.kind)).toEqual(["max", "min", "max", "min"]);
+
+        const max = PolyMax.handler(p, int(-2), int(3));
+        expect(max.exact).toBe(0);
+        for (const x of [-2, 3, 0, 1]) {
+            expect(max.value.high.compareTo(PolyEval.handler(p, int(x)))).toBeGreaterThan(0);
+        }
+        expect(max.at.values.length).toBe(1);
+    });
+});
+
+describe("Synthetic Division Steps", () => {
+    const { SynthDiv, SynthDivSteps, PolyRebaseSteps, PolyRebase } = PolynomialFunctions;
+    const int = (n) => new Integer(BigInt(n));
+    const rowStrings = (tableau) => tableau.rows.values.map(r => r.values.map(String).join(","));
+
+    test("SynthDivSteps lays out the tableau", () => {
+        // 4x³ - 12x² - 5x + 6 divided by (x - 3)
+        const result = SynthDivSteps.handler(poly(6, -5, -12, 4), int(3));
+        expect(result.divisor.toString()).toBe("3");
+        expect(coeffStrings(result)).toEqual(["4", "-12", "-5", "6"]);
+        expect(rowStrings(result)).toEqual([
+            "4,0,0,0",
+            "4,12,0,0",
+            "4,0,0,0",
+            "4,0,0,0",
+            "4,0,-5,0",
+            "4,0,-5,-15",
+            "4,0,-5,-9"
+        ]);
+        expect(result.rows.values.map(r => r.stage)).toEqual([
+            "initial", "multiply", "add", "multiply", "add", "multiply", "add"
+        ]);
+        expect(coeffStrings(result.quotient)).toEqual(["-5", "0", "4"]);
+        expect(result.remainder.toString()).toBe("-9");
+    });
+
+    test("SynthDiv with showSteps attaches the tableau", () => {
+        const result = SynthDiv.handler(poly(-6, 11, -6, 1), int(1), int(1));
+        expect(result.steps.remainder.toString()).toBe("0");
+        expect(coeffStrings(result.steps.quotient)).toEqual(["6", "-5", "1"]);
+        expect(SynthDiv.handler(poly(-6, 11, -6, 1), int(1)).steps).toBeUndefined();
+    });
+
+    test("PolyRebaseSteps chains synthetic divisions into Taylor coefficients", () => {
+        // x³ at a = 1: (x-1)³ + 3(x-1)² + 3(x-1) + 1
+        const result = PolyRebaseSteps.handler(poly(0, 0, 0, 1), int(1));
+        expect(result.values.length).toBe(4);
+        expect(result.values.map(t => t.remainder.toString())).toEqual(["1", "3", "3", "1"]);
+        expect(coeffStrings(result.values[1])).toEqual(["1", "1", "1"]);
+        expect(coeffStrings(result.result)).toEqual(
+            coeffStrings(PolyRebase.handler(poly(0, 0, 0, 1), int(1)))
+        );
+    });
+});
+
+describe("Interpolation", () => {
+    const { PolyInterp, PolyNewtonTable, PolyHermiteInterp, PolyEval, PolyDer } = PolynomialFunctions;
+    const points = (...pts) => ({ type: 'sequence', values: pts.map(p => seq(...p)) });
+
+    test("PolyInterp recovers a quadratic", () => {
+        // y = x² + 1 at 0, 1, 2
+        const result = PolyInterp.handler(points([0, 1], [1, 2], [2, 5]));
+        expect(coeffStrings(result)).toEqual(["1", "0", "1"]);
+        expect(result.type).toBe("polynomial");
+    });
+
+    test("PolyInterp handles rational data", () => {
+        const half = new Rational(1n, 2n);
+        const result = PolyInterp.handler(points([0, 0], [half, 1], [1, 0]));
+        // 4x(1 - x)
+        expect(coeffStrings(result)).toEqual(["0", "4", "-4"]);
+    });
+
+    test("PolyInterp rejects repeated nodes", () => {
+        expect(() => PolyInterp.handler(points([1, 2], [1, 3]))).toThrow("distinct");
+    });
+
+    test("PolyNewtonTable returns every column of divided differences", () => {
+        // f(x) = x³ at 0, 1, 2, 3
+        const result = PolyNewtonTable.handler(points([0, 0], [1, 1], [2, 8], [3, 27]));
+        expect(result.values.map(c => c.values.map(String))).toEqual([
+            ["0", "1", "8", "27"],
+            ["1", "7", "19"],
+            ["3", "6"],
+            ["1"]
+        ]);
+        expect(result.coeffs.values.map(String)).toEqual(["0", "1", "3", "1"]);
+        expect(coeffStrings(result.poly)).toEqual(["0", "0", "0", "1"]);
+    });
+
+    test("PolyHermiteInterp matches values and derivatives", () => {
+        // f(0) = 1, f'(0) = 0, f(1) = 2, f'(1) = 3
+        const result = PolyHermiteInterp.handler(points([0, 1, 0], [1, 2, 3]));
+        const der = PolyDer.handler(result);
+        const int = (n) => new Integer(BigInt(n));
+        expect(PolyEval.handler(result, int(0)).toString()).toBe("1");
+        expect(PolyEval.handler(der, int(0)).toString()).toBe("0");
+        expect(PolyEval.handler(result, int(1)).toString()).toBe("2");
+        expect(PolyEval.handler(der, int(1)).toString()).toBe("3");
+        expect(result.degree).toBe(3);
+    });
+
+    test("PolyHermiteInterp with second derivatives recovers a Taylor polynomial", () => {
+        // f(0) = 1, f'(0) = 1, f''(0) = 1 → 1 + x + x²/2
+        const result = PolyHermiteInterp.handler(points([0, 1, 1, 1]));
+        expect(coeffStrings(result)).toEqual(["1", "1", "1/2"]);
+    });
+});
+
+describe("Resultants and Discriminants", () => {
+    const { PolyResultant, PolyDiscriminant, PolySylvester, PolyMul } = PolynomialFunctions;
+
+    // Cofactor expansion, fine for the small matrices below
+    const det = (rows) => {
+        if (rows.length === 0) return new Rational(1n, 1n);
+        let total = new Rational(0n, 1n);
+        rows[0].forEach((c, j) => {
+            const minor = rows.slice(1).map(r => r.filter((_, k) => k !== j));
+            const term = c.multiply(det(minor));
+            total = j % 2 === 0 ? total.add(term) : total.subtract(term);
+        });
+        return total;
+    };
+
+    test("PolyResultant is zero exactly when there is a common root", () => {
+        expect(PolyResultant.handler(poly(-1, 0, 1), poly(-1, 1)).toString()).toBe("0");
+        // x² + 1 and x - 2: (i - 2)(-i - 2) = 5
+        expect(PolyResultant.handler(poly(1, 0, 1), poly(-2, 1)).toString()).toBe("5");
+    });
+
+    test("PolyResultant handles constants and sign symmetry", () => {
+        expect(PolyResultant.handler(poly(3), poly(1, 0, 1)).toString()).toBe("9");
+        // res(Q, P) = (-1)^(mn) res(P, Q)
+        const P = poly(1, 2, 0, 1);
+        const Q = poly(3, 0, 5);
+        const pq = PolyResultant.handler(P, Q);
+        expect(PolyResultant.handler(Q, P).toString()).toBe(pq.toString());
+        const R = poly(1, 1);
+        expect(PolyResultant.handler(R, P).toString()).toBe(PolyResultant.handler(P, R).negate().toString());
+    });
+
+    test("PolySylvester builds shifted coefficient rows", () => {
+        const S = PolySylvester.handler(poly(3, 2, 1), poly(5, 4));
+        expect(S.values.map(r => r.values.map(String))).toEqual([
+            ["1", "2", "3"],
+            ["4", "5", "0"],
+            ["0", "4", "5"]
+        ]);
+    });
+
+    test("Sylvester determinant equals the resultant", () => {
+        const P = poly(2, -1, 0, 3);
+        const Q = PolynomialFunctions.Poly.handler(seq(new Rational(1n, 2n), 4, -2));
+        const rows = PolySylvester.handler(P, Q).values.map(r => r.values);
+        expect(det(rows).toString()).toBe(PolyResultant.handler(P, Q).toString());
+    });
+
+    test("PolyDiscriminant of quadratics and cubics", () => {
+        expect(PolyDiscriminant.handler(poly(1, 3, 2)).toString()).toBe("1");      // b² - 4ac
+        expect(PolyDiscriminant.handler(poly(0, -1, 0, 1)).toString()).toBe("4");  // x³ - x: -4p³ - 27q²
+        expect(PolyDiscriminant.handler(poly(1, 0, 1)).toString()).toBe("-4");
+        const half = PolynomialFunctions.Poly.handler(seq(new Rational(-1n, 8n), 0, new Rational(1n, 2n)));
+        expect(PolyDiscriminant.handler(half).toString()).toBe("1/4");
+    });
+
+    test("PolyDiscriminant vanishes on repeated roots", () => {
+        const P = PolyMul.handler(PolyMul.handler(poly(-1, 1), poly(-1, 1)), poly(2, 1));
+        expect(PolyDiscriminant.handler(P).toString()).toBe("0");
+        expect(PolyDiscriminant.handler(poly(5, 2)).toString()).toBe("1");
+        expect(() => PolyDiscriminant.handler(poly(7))).toThrow();
+    });
+
+    test("PolyDiscriminant of a quartic", () => {
+        // x⁴ + 1 has discriminant 256
+        expect(PolyDiscriminant.handler(poly(1, 0, 0, 0, 1)).toString()).toBe("256");
+    });
+});
+
+describe("Polynomial Display", () => {
+    const { Poly, PolyToString, PolyRebase, SynthDiv, PolyAdd, PolyDer, PolySparse } = PolynomialFunctions;
+    const show = (p, options) => PolyToString.handler(p, options).value;
+    const str = (s) => ({ type: 'string', value: s });
+
+    test("renders descending with Unicode superscripts by default", () => {
+        expect(show(poly(1, -2, 3))).toBe("3x² - 2x + 1");
+        expect(show(poly(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1))).toBe("x¹¹");
+        expect(String(poly(1, -2, 3))).toBe("3x² - 2x + 1");
+    });
+
+    test("handles implicit ones, signs and zero", () => {
+        expect(show(poly(-1, 0, -1))).toBe("-x² - 1");
+        expect(show(poly(0, 1))).toBe("x");
+        expect(show(poly(-1))).toBe("-1");
+        expect(show(poly(0))).toBe("0");
+    });
+
+    test("renders rational coefficients", () => {
+        const p = Poly.handler(seq(new Rational(1n, 3n), 0, 0, new Rational(-1n, 2n)));
+        expect(show(p)).toBe("-1/2x³ + 1/3");
+    });
+
+    test("supports caret form and ascending order", () => {
+        const p = poly(1, -2, 3);
+        expect(show(p, str("caret"))).toBe("3x^2 - 2x + 1");
+        expect(show(p, str("ascending"))).toBe("1 - 2x + 3x²");
+        expect(show(p, { type: 'sequence', values: [str("ascending"), str("caret")] })).toBe("1 - 2x + 3x^2");
+        expect(() => show(p, str("sideways"))).toThrow();
+    });
+
+    test("uses the variable name", () => {
+        expect(show(Poly.handler(seq(0, 1, 1), "t"))).toBe("t² + t");
+    });
+
+    test("renders PolyRebase results in powers of (x - a)", () => {
+        // x² = (x - 1)² + 2(x - 1) + 1
+        const rebased = PolyRebase.handler(poly(0, 0, 1), new Integer(1n));
+        expect(show(rebased)).toBe("(x - 1)² + 2(x - 1) + 1");
+        expect(show(PolyRebase.handler(poly(0, 0, 1), new Integer(-2n)), str("caret"))).toBe("(x + 2)^2 - 4(x + 2) + 4");
+        expect(rebased.call(new Integer(3n)).toString()).toBe("9");
+    });
+
+    test("variable survives arithmetic, derivatives and synthetic division", () => {
+        const p = Poly.handler(seq(-1, 0, 1), "t");
+        expect(PolyAdd.handler(p, Poly.handler(seq(0, 1), "t")).variable).toBe("t");
+        expect(show(PolyDer.handler(p))).toBe("2t");
+        const { quotient } = SynthDiv.handler(p, new Integer(1n));
+        expect(String(quotient)).toBe("t + 1");
+        expect(String(PolyRebase.handler(p, new Integer(1n)))).toBe("(t - 1)² + 2(t - 1)");
+    });
+
+    test("renders sparse polynomials without densifying", () => {
+        const sparse = PolySparse.handler.call({
+            _currentCallScope: new Map([["@@", seq(5, 1000, -1, 0)]])
+        });
+        expect(show(sparse)).toBe("5x¹⁰⁰⁰ - 1");
+    });
+});
+
+describe("Polynomial Parsing", () => {
+    const { Poly, PolyParse, PolyToString, PolyRebase } = PolynomialFunctions;
+    const parse = (text, v) => PolyParse.handler({ type: 'string', value: text }, v);
+
+    test("parses a textbook polynomial with rational coefficients", () => {
+        const p = parse("3x^2 - x/2 + 7");
+        expect(coeffStrings(p)).toEqual(["7", "-1/2", "3"]);
+        expect(p.degree).toBe(2);
+        expect(p.variable).toBe("x");
+    });
+
+    test("expands parenthesized powers", () => {
+        expect(coeffStrings(parse("(x-2)^3"))).toEqual(["-8", "12", "-6", "1"]);
+        expect(coeffStrings(parse("2(x + 1)(x - 1)"))).toEqual(["-2", "0", "2"]);
+        expect(coeffStrings(parse("-(x - 1)^2"))).toEqual(["-1", "2", "-1"]);
+    });
+
+    test("combines repeated terms and handles implicit multiplication", () => {
+        expect(coeffStrings(parse("x + 2x - 3x + x^2 x"))).toEqual(["0", "0", "0", "1"]);
+        expect(coeffStrings(parse("1/2x^3 - 0.25"))).toEqual(["-1/4", "0", "0", "1/2"]);
+        expect(coeffStrings(parse("x*x*x - x·x"))).toEqual(["0", "0", "-1", "1"]);
+        expect(parse("x - x").degree).toBe(-1);
+    });
+
+    test("-x^2 binds the power before the sign", () => {
+        expect(coeffStrings(parse("-x^2"))).toEqual(["0", "0", "-1"]);
+        expect(coeffStrings(parse("2^3x"))).toEqual(["0", "8"]);
+    });
+
+    test("round-trips PolyToString output", () => {
+        const p = Poly.handler(seq(new Rational(1n, 3n), -2, 0, new Rational(-1n, 2n)));
+        const text = PolyToString.handler(p).value;
+        expect(coeffStrings(parse(text))).toEqual(coeffStrings(p));
+        const rebased = PolyToString.handler(PolyRebase.handler(p, new Integer(1n)));
+        expect(coeffStrings(parse(rebased.value))).toEqual(coeffStrings(p));
+    });
+
+    test("uses the given or detected variable", () => {
+        expect(parse("t^2 + 1").variable).toBe("t");
+        const p = parse("theta^2 - theta", "theta");
+        expect(coeffStrings(p)).toEqual(["0", "-1", "1"]);
+        expect(p.variable).toBe("theta");
+        expect(() => parse("x + y")).toThrow(/unknown variable "y"/);
+        expect(() => parse("t + 1", "x")).toThrow();
+    });
+
+    test("reports malformed input", () => {
+        expect(() => parse("")).toThrow();
+        expect(() => parse("3x^")).toThrow(/exponent/);
+        expect(() => parse("x^(1/2)")).toThrow(/exponent/);
+        expect(() => parse("1/x")).toThrow(/constant/);
+        expect(() => parse("x/0")).toThrow(/zero/);
+        expect(() => parse("(x + 1")).toThrow(/\)/);
+        expect(() => parse("x $ 1")).toThrow(/position 2/);
+        expect(() => parse("x + 1)")).toThrow();
+        expect(() => parse("1.2.3")).toThrow(/second "\." in a number at position 3/);
+        expect(() => parse("3 4")).toThrow(/missing operator before a number at position 2/);
+        expect(() => parse("3x2")).toThrow(/missing operator/);
+        expect(() => parse("(x + 1)2")).toThrow(/missing operator/);
+    });
+
+    test("rejects powers beyond the maximum degree", () => {
+        expect(() => parse("x^99999999999")).toThrow(/maximum degree .* at position 1/);
+        expect(() => parse("(x^2 + 1)^600000000")).toThrow(/maximum degree/);
+        expect(() => parse("x^99999999999999999999")).toThrow(/maximum degree/);
+        expect(parse("x^1073741824").degree).toBe(2 ** 30);
+        expect(parse("x^1000000").degree).toBe(1000000);
+    });
+
+    test("Poly accepts a string", () => {
+        const p = Poly.handler({ type: 'string', value: "x^2 - 4" });
+        expect(coeffStrings(p)).toEqual(["-4", "0", "1"]);
+        expect(p.type).toBe("polynomial");
+        expect(Poly.handler("y^3", "y").variable).toBe("y");
+    });
+});
+
+describe("Sparse Polynomial Arithmetic", () => {
+    const {
+        PolySparse, PolyAdd, PolySub, PolyMul, PolyScale, PolyNeg, PolyDer, PolyInt,
+        PolyEval, PolyCoeff, PolyDiv, PolyMod, PolyCompose, PolySubst, PolyParse, PolyToString
+    } = PolynomialFunctions;
+    const int = (n) => new Integer(BigInt(n));
+    // PolySparse reads its arguments from the call scope
+    const sparse = (...args) => PolySparse.handler.call({
+        _currentCallScope: new Map([["@@", {
+            type: 'sequence',
+            values: args.map(a => typeof a === 'string' ? { type: 'string', value: a } : Number.isInteger(a) ? int(a) : a)
+        }]])
+    });
+    const show = (p) => PolyToString.handler(p).value;
+    const big = sparse(1, 1000000, 1, 0);   // x¹⁰⁰⁰⁰⁰⁰ + 1
+
+    test("PolySparse accepts a variable name and combines repeated degrees", () => {
+        const p = sparse(2, 5, 3, 5, -1, 0, "t");
+        expect(p.variable).toBe("t");
+        expect(show(p)).toBe("5t⁵ - 1");
+        expect(() => sparse(1, 2, 3)).toThrow();
+    });
+
+    test("PolySparse rejects fractional and negative degrees", () => {
+        expect(() => sparse(1, new Rational(5n, 2n))).toThrow("non-negative integer");
+        expect(() => sparse(1, 2.5)).toThrow("non-negative integer");
+        expect(() => sparse(1, -1)).toThrow("non-negative integer");
+        expect(() => sparse(1, new Rational(-4n, 2n))).toThrow("non-negative integer");
+        expect(show(sparse(1, new Rational(6n, 2n)))).toBe("x³");
+    });
+
+    test("addition, subtraction and scaling stay sparse", () => {
+        const sum = PolyAdd.handler(big, sparse(1, 999999));
+        expect(sum.sparse).toBe(true);
+        expect(sum.degree).toBe(1000000);
+        expect(show(sum)).toBe("x¹⁰⁰⁰⁰⁰⁰ + x⁹⁹⁹⁹⁹⁹ + 1");
+        expect(PolySub.handler(big, big).degree).toBe(-1);
+        expect(show(PolyScale.handler(big, new Rational(1n, 2n)))).toBe("1/2x¹⁰⁰⁰⁰⁰⁰ + 1/2");
+        expect(show(PolyNeg.handler(big))).toBe("-x¹⁰⁰⁰⁰⁰⁰ - 1");
+    });
+
+    test("multiplication stays sparse", () => {
+        const prod = PolyMul.handler(big, sparse(1, 1000000, -1, 0));
+        expect(prod.sparse).toBe(true);
+        expect(show(prod)).toBe("x²⁰⁰⁰⁰⁰⁰ - 1");
+    });
+
+    test("derivatives and integrals stay sparse", () => {
+        expect(show(PolyDer.handler(big))).toBe("1000000x⁹⁹⁹⁹⁹⁹");
+        expect(show(PolyDer.handler(big, int(2)))).toBe("999999000000x⁹⁹⁹⁹⁹⁸");
+        expect(show(PolyInt.handler(big, int(3)))).toBe("1/1000001x¹⁰⁰⁰⁰⁰¹ + x + 3");
+    });
+
+    test("evaluation and coefficient access avoid densifying", () => {
+        expect(PolyEval.handler(big, int(-1)).toString()).toBe("2");
+        expect(PolyCoeff.handler(big, int(1000000)).toString()).toBe("1");
+        expect(PolyCoeff.handler(big, int(7)).toString()).toBe("0");
+    });
+
+    test("division of sparse polynomials", () => {
+        const { quotient, remainder } = PolyDiv.handler(sparse(1, 2000000, -1, 0), sparse(1, 1000000, -1, 0));
+        expect(show(quotient)).toBe("x¹⁰⁰⁰⁰⁰⁰ + 1");
+        expect(remainder.degree).toBe(-1);
+        // x¹⁰⁰⁰ ≡ (x²)⁵⁰⁰ ≡ 1 (mod x² + 1)
+        expect(show(PolyMod.handler(sparse(1, 1000, 1, 0), poly(1, 0, 1)))).toBe("2");
+    });
+
+    test("composition and scaling substitution stay sparse", () => {
+        const p = sparse(1, 1000, 1, 0);
+        expect(show(PolyCompose.handler(p, sparse(1, 1000)))).toBe("x¹⁰⁰⁰⁰⁰⁰ + 1");
+        expect(show(PolySubst.handler(big, int(-1)))).toBe("x¹⁰⁰⁰⁰⁰⁰ + 1");
+    });
+
+    test("representation is chosen by fill ratio", () => {
+        // Dense-looking results of sparse inputs come back dense
+        const dense = PolyAdd.handler(sparse(1, 2, 1, 1), poly(1));
+        expect(dense.sparse).toBeUndefined();
+        expect(coeffStrings(dense)).toEqual(["1", "1", "1"]);
+        // Low-fill results of dense inputs come back sparse
+        const x40 = poly(...Array(40).fill(0), 1);
+        const result = PolyMul.handler(x40, x40);
+        expect(result.sparse).toBe(true);
+        expect(result.degree).toBe(80);
+        expect(coeffStrings(result).length).toBe(81);
+    });
+
+    test("PolyParse builds high-degree polynomials sparsely", () => {
+        const p = PolyParse.handler({ type: 'string', value: "x^1000000 + 1" });
+        expect(p.sparse).toBe(true);
+        expect(PolyEval.handler(p, int(1)).toString()).toBe("2");
+        expect(show(PolyParse.handler({ type: 'string', value: "(x^500 + 1)^2" }))).toBe("x¹⁰⁰⁰ + 2x⁵⁰⁰ + 1");
+    });
+
+    test("operations without a sparse path reject huge degrees instead of expanding", () => {
+        const { PolyGCD, PolyExtGCD, PolyResultant, PolySqfree, PolyFactor, PolyRoots } = PolynomialFunctions;
+        const other = sparse(1, 1000000, -1, 0);
+        for (const op of [
+            () => PolyGCD.handler(big, other), () => PolyExtGCD.handler(big, other),
+            () => PolyResultant.handler(big, other), () => PolySqfree.handler(big),
+            () => PolyFactor.handler(big), () => PolyRoots.handler(big)
+        ]) {
+            expect(op).toThrow(/degree 1000000 exceeds 65536/);
+        }
+        // Moderate sparse degrees are still expanded
+        const moderate = sparse(1, 1000, -1, 0);
+        expect(PolyGCD.handler(moderate, sparse(1, 10, -1, 0)).degree).toBe(10);
+    });
+});
+
+describe("Fast Multiplication", () => {
+    const { Poly, PolyMul, PolyPow, PolySparse } = PolynomialFunctions;
+    const methods = ["schoolbook", "karatsuba", "kronecker", "auto"];
+    const str = (s) => ({ type: 'string', value: s });
+
+    // Deterministic pseudo-random rational coefficients with zeros and signs
+    const randomPoly = (n, seed) => {
+        let state = seed;
+        const next = () => (state = (state * 1103515245 + 12345) % 2147483648);
+        return Poly.handler({
+            type: 'sequence',
+            values: Array.from({ length: n }, () => {
+                const num = BigInt(next() % 41) - 20n;
+                return new Rational(num, BigInt(1 + next() % 6));
+            })
+        });
+    };
+
+    test("all methods give identical results", () => {
+        const cases = [[1, 1], [3, 200], [17, 17], [40, 33], [100, 7], [150, 150]];
+        cases.forEach(([n, m], i) => {
+            const p = randomPoly(n, 11 + i);
+            const q = randomPoly(m, 97 + i);
+            const [reference, ...others] = methods.map(method => coeffStrings(PolyMul.handler(p, q, str(method))));
+            others.forEach(result => expect(result).toEqual(reference));
+        });
+    });
+
+    test("handles zero and huge coefficients", () => {
+        const zero = Poly.handler(seq(0));
+        const p = randomPoly(64, 5);
+        methods.forEach(method => {
+            expect(PolyMul.handler(zero, p, str(method)).degree).toBe(-1);
+        });
+        const huge = Poly.handler(seq(...Array.from({ length: 40 }, (_, i) => (i % 3 - 1) * 10 ** 15)));
+        const square = (method) => coeffStrings(PolyMul.handler(huge, huge, str(method)));
+        expect(square("kronecker")).toEqual(square("schoolbook"));
+        expect(square("karatsuba")).toEqual(square("schoolbook"));
+    });
+
+    test("rejects unknown methods", () => {
+        expect(() => PolyMul.handler(poly(1, 1), poly(1, 1), str("fft"))).toThrow();
+    });
+
+    test("PolyPow matches repeated multiplication", () => {
+        // (x + 1)⁵⁰ has binomial coefficients
+        const p = PolyPow.handler(poly(1, 1), new Integer(50n));
+        expect(p.degree).toBe(50);
+        expect(coeffStrings(p)[25]).toBe("126410606437752");
+        const q = randomPoly(5, 3);
+        let expected = poly(1);
+        for (let i = 0; i < 7; i++) expected = PolyMul.handler(expected, q, str("schoolbook"));
+        expect(coeffStrings(PolyPow.handler(q, new Integer(7n)))).toEqual(coeffStrings(expected));
+        expect(coeffStrings(PolyPow.handler(q, new Integer(0n)))).toEqual(["1"]);
+        expect(() => PolyPow.handler(q, new Integer(-1n))).toThrow();
+        expect(() => PolyPow.handler(q, new Rational(5n, 2n))).toThrow(/integer exponent/);
+        expect(coeffStrings(PolyPow.handler(poly(1, 1), new Rational(4n, 2n)))).toEqual(["1", "2", "1"]);
+    });
+
+    test("PolyPow keeps sparse polynomials sparse", () => {
+        const sparse = PolySparse.handler.call({
+            _currentCallScope: new Map([["@@", seq(1, 1000, 1, 0)]])
+        });
+        const cube = PolyPow.handler(sparse, new Integer(3n));
+        expect(cube.sparse).toBe(true);
+        expect(cube.terms.size).toBe(4);
+    });
+});
+
+describe("Multipoint Evaluation", () => {
+    const { Poly, PolyEval, PolyEvalMany, PolySparse } = PolynomialFunctions;
+    const str = (s) => ({ type: 'string', value: s });
+
+    // Deterministic pseudo-random rationals with numerators in [-range, range]
+    const randomValues = (n, seed, range, maxDen) => {
+        let state = seed;
+        const next = () => (state = (state * 1103515245 + 12345) % 2147483648);
+        return Array.from({ length: n }, () =>
+            new Rational(BigInt(next() % (2 * range + 1) - range), BigInt(1 + next() % maxDen)));
+    };
+    const expectMatchesEval = (P, xs, method) => {
+        const values = PolyEvalMany.handler(P, xs, method && str(method)).values;
+        expect(values.map(String)).toEqual(xs.values.map(x => PolyEval.handler(P, x).toString()));
+    };
+
+    test("evaluates at integer and rational points", () => {
+        const P = poly(1, -2, 0, 3);   // 3x³ - 2x + 1
+        const xs = seq(0, 1, -2, new Rational(1n, 2n), new Rational(-2n, 3n));
+        expect(PolyEvalMany.handler(P, xs).values.map(String)).toEqual(["1", "2", "-19", "3/8", "13/9"]);
+        expect(PolyEvalMany.handler(poly(0), xs).values.map(String)).toEqual(["0", "0", "0", "0", "0"]);
+        expect(PolyEvalMany.handler(P, seq()).values).toEqual([]);
+    });
+
+    test("horner and tree methods agree with PolyEval", () => {
+        const cases = [[5, 40, 1], [40, 5, 7], [70, 70, 1], [50, 150, 9], [150, 33, 4]];
+        cases.forEach(([degree, count, maxDen], i) => {
+            const P = Poly.handler(seq(...randomValues(degree + 1, 7 + i, 50, 5)));
+            const xs = seq(...randomValues(count, 31 + i, 20, maxDen));
+            ["horner", "tree", undefined].forEach(method => expectMatchesEval(P, xs, method));
+        });
+    });
+
+    test("tree matches horner on large inputs with wide points", () => {
+        const P = Poly.handler(seq(...randomValues(301, 5, 1000, 3)));
+        const xs = seq(0, ...randomValues(299, 11, 1000000, 1), new Rational(-7n, 3n));
+        const horner = PolyEvalMany.handler(P, xs, str("horner")).values.map(String);
+        expect(PolyEvalMany.handler(P, xs, str("tree")).values.map(String)).toEqual(horner);
+        expect(PolyEvalMany.handler(P, xs).values.map(String)).toEqual(horner);
+    });
+
+    test("repeated points and rejects bad input", () => {
+        const P = Poly.handler(seq(...randomValues(40, 3, 9, 1)));
+        expectMatchesEval(P, seq(...Array(40).fill(new Rational(3n, 2n))), "tree");
+        expect(() => PolyEvalMany.handler(P, new Integer(2n))).toThrow();
+        expect(() => PolyEvalMany.handler(P, seq(1), str("fft"))).toThrow();
+    });
+
+    test("works on sparse polynomials", () => {
+        const scope = (...vals) => ({ _currentCallScope: new Map([["@@", seq(...vals)]]) });
+        const xs = seq(-1, 2, new Rational(1n, 2n), 0);
+        // x¹⁰⁰⁰ - 1 is evaluated term by term
+        const huge = PolySparse.handler.call(scope(1, 1000, -1, 0));
+        expect(PolyEvalMany.handler(huge, xs).values.map(String).slice(0, 1)).toEqual(["0"]);
+        expectMatchesEval(huge, xs);
+        // Sparse with enough terms goes through the dense evaluators
+        const terms = Array.from({ length: 12 }, (_, i) => [i + 1, 5 * i]).flat();
+        const moderate = PolySparse.handler.call(scope(...terms));
+        expectMatchesEval(moderate, xs, "tree");
+        expectMatchesEval(moderate, xs);
+    });
+});
+
+describe("Definite Integrals and Area", () => {
+    const { PolyIntegrate, PolyArea, PolyAverage, PolySparse } = PolynomialFunctions;
+    const int = (n) => new Integer(BigInt(n));
+
+    test("PolyIntegrate gives the exact definite integral", () => {
+        expect(PolyIntegrate.handler(poly(0, 0, 1), int(0), int(3)).toString()).toBe("9");
+        expect(PolyIntegrate.handler(poly(1, -2, 3), new Rational(1n, 2n), int(1)).toString()).toBe("5/8");
+        // Reversing the limits flips the sign; signed area cancels for odd P
+        expect(PolyIntegrate.handler(poly(0, 0, 1), int(3), int(0)).toString()).toBe("-9");
+        expect(PolyIntegrate.handler(poly(0, -1, 0, 1), int(-1), int(1)).toString()).toBe("0");
+    });
+
+    test("PolyIntegrate works on sparse polynomials", () => {
+        const sparse = PolySparse.handler.call({
+            _currentCallScope: new Map([["@@", seq(1000, 999, 1, 0)]])
+        });
+        // ∫₀¹ 1000x⁹⁹⁹ + 1 dx = 2
+        expect(PolyIntegrate.handler(sparse, int(0), int(1)).toString()).toBe("2");
+    });
+
+    test("PolyArea splits at rational roots and stays exact", () => {
+        // x³ - x on [-1, 1]: two lobes of area 1/4
+        expect(PolyArea.handler(poly(0, -1, 0, 1), int(-1), int(1)).toString()).toBe("1/2");
+        // (x - 1)² touches the axis without changing sign
+        expect(PolyArea.handler(poly(1, -2, 1), int(0), int(3)).toString()).toBe("3");
+        // -x on [0, 2] lies below the axis
+        expect(PolyArea.handler(poly(0, -1), int(0), int(2)).toString()).toBe("2");
+        expect(PolyArea.handler(poly(5), int(1), int(1)).toString()).toBe("0");
+        expect(() => PolyArea.handler(poly(0, 1), int(2), int(1))).toThrow();
+    });
+
+    test("PolyArea encloses an irrational area", () => {
+        // x² - 2 on [0, 2]: area (8√2 - 4)/3, so (3·area + 4)² = 128
+        const precision = new Rational(1n, 10000n);
+        const { low, high } = PolyArea.handler(poly(-2, 0, 1), int(0), int(2), precision);
+        expect(high.subtract(low).compareTo(precision)).toBeLessThan(0);
+        const square = (v) => {
+            const t = v.multiply(new Rational(3n, 1n)).add(new Rational(4n, 1n));
+            return t.multiply(t);
+        };
+        expect(square(low).compareTo(new Rational(128n, 1n))).toBeLessThan(0);
+        expect(square(high).compareTo(new Rational(128n, 1n))).toBeGreaterThan(0);
+    });
+
+    test("PolyArea handles roots at the ends and high-degree products", () => {
+        // x³ - 2x on [0, 2] vanishes at 0; F = x⁴/4 - x² gives area |F(√2)| + |F(2) - F(√2)| = 2
+        const two = new Rational(2n, 1n);
+        const area = PolyArea.handler(poly(0, -2, 0, 1), int(0), int(2));
+        expect(area.low.compareTo(two)).toBeLessThanOrEqual(0);
+        expect(area.high.compareTo(two)).toBeGreaterThanOrEqual(0);
+
+        // Degree 16 product of two irreducible octics, isolated without factoring
+        const { Poly, PolyMul } = PolynomialFunctions;
+        const text = (value) => Poly.handler({ type: 'string', value });
+        const p = PolyMul.handler(text("x^8 - 2x^3 + 5x - 1"), text("x^8 + 3x^5 - x^2 - 11"));
+        const precision = new Rational(1n, 1000n);
+        const { low, high } = PolyArea.handler(p, int(-2), int(2), precision);
+        expect(high.subtract(low).compareTo(precision)).toBeLessThan(0);
+    });
+
+    test("PolyAverage is the integral over the interval length", () => {
+        expect(PolyAverage.handler(poly(1, 2), int(0), int(2)).toString()).toBe("3");
+        expect(PolyAverage.handler(poly(0, 0, 1), int(0), int(3)).toString()).toBe("3");
+        expect(PolyAverage.handler(poly(0, 0, 1), int(3), int(0)).toString()).toBe("3");
+        expect(() => PolyAverage.handler(poly(0, 1), int(1), int(1))).toThrow();
+    });
+});
+
+describe("Basis Conversion", () => {
+    const { PolyToBasis, PolyFromBasis, PolyDeCasteljau, PolyBernsteinSplit, PolyRebase } = PolynomialFunctions;
+    const str = (s) => ({ type: 'string', value: s });
+    const values = (s) => s.values.map(String);
+    const P = () => poly(1, -2, 0, 3);   // 3x³ - 2x + 1
+
+    test("converts to each basis", () => {
+        expect(values(PolyToBasis.handler(P(), str("shifted"), new Integer(2n)))).toEqual(["21", "34", "18", "3"]);
+        // Newton coefficients are the divided differences at the nodes
+        expect(values(PolyToBasis.handler(P(), str("newton"), seq(0, 1, 2)))).toEqual(["1", "1", "9", "3"]);
+        // Bernstein end coefficients are P(a) and P(b)
+        expect(values(PolyToBasis.handler(P(), str("bernstein")))).toEqual(["1", "1/3", "-1/3", "2"]);
+        expect(values(PolyToBasis.handler(P(), str("bernstein"), seq(-1, 3)))).toEqual(["0", "28/3", "-88/3", "76"]);
+        // x³ = (3T₁ + T₃)/4
+        expect(values(PolyToBasis.handler(P(), str("chebyshev")))).toEqual(["1", "1/4", "0", "3/4"]);
+        expect(PolyToBasis.handler(P(), str("Chebyshev")).basis).toBe("chebyshev");
+    });
+
+    test("PolyFromBasis inverts PolyToBasis exactly", () => {
+        const Q = poly(new Rational(-7n, 3n), 0, 5, new Rational(1n, 2n), -1);
+        const cases = [
+            ["monomial"], ["shifted", new Rational(-3n, 2n)], ["newton", seq(1, new Rational(1n, 3n), -4, 2)],
+            ["bernstein"], ["bernstein", seq(2, -5)], ["chebyshev"], ["chebyshev", seq(0, new Rational(1n, 2n))]
+        ];
+        for (const [basis, params] of cases) {
+            const coeffs = PolyToBasis.handler(Q, str(basis), params);
+            expect(coeffStrings(PolyFromBasis.handler(coeffs, str(basis), params))).toEqual(coeffStrings(Q));
+        }
+    });
+
+    test("PolyFromBasis builds Bernstein and Chebyshev sums", () => {
+        // Coefficients all 1 sum the Bernstein basis to 1
+        expect(coeffStrings(PolyFromBasis.handler(seq(1, 1, 1, 1), str("bernstein")))).toEqual(["1"]);
+        expect(coeffStrings(PolyFromBasis.handler(seq(0, 0, 1), str("chebyshev")))).toEqual(["-1", "0", "2"]);
+        expect(PolyFromBasis.handler(seq(1, 2), str("monomial"), undefined, str("t")).variable).toBe("t");
+    });
+
+    test("reads a PolyRebase result in its monomial form", () => {
+        const rebased = PolyRebase.handler(P(), new Integer(2n));
+        expect(values(PolyToBasis.handler(rebased, str("monomial")))).toEqual(["1", "-2", "0", "3"]);
+        expect(values(PolyToBasis.handler(rebased, str("shifted"), new Integer(2n)))).toEqual(coeffStrings(rebased));
+    });
+
+    test("rejects unknown bases and bad parameters", () => {
+        expect(() => PolyToBasis.handler(P(), str("legendre"))).toThrow();
+        expect(() => PolyToBasis.handler(P(), str("newton"), seq(0, 1))).toThrow();
+        expect(() => PolyToBasis.handler(P(), str("bernstein"), seq(1, 1))).toThrow();
+    });
+
+    test("de Casteljau evaluation matches the polynomial", () => {
+        const interval = seq(-1, 3);
+        const beta = PolyToBasis.handler(P(), str("bernstein"), interval);
+        for (const x of [new Rational(-1n, 1n), new Rational(1n, 2n), new Rational(7n, 3n), new Rational(5n, 1n)]) {
+            expect(PolyDeCasteljau.handler(beta, x, interval).toString()).toBe(P().call(x).toString());
+        }
+        // A quadratic Bézier control polygon at its midpoint
+        expect(PolyDeCasteljau.handler(seq(0, 4, 0), new Rational(1n, 2n)).toString()).toBe("2");
+    });
+
+    test("subdivision gives Bernstein forms on both halves", () => {
+        const beta = PolyToBasis.handler(P(), str("bernstein"), seq(-1, 3));
+        const { left, right } = PolyBernsteinSplit.handler(beta, new Integer(1n), seq(-1, 3));
+        expect(values(left)[0]).toBe("0");
+        expect(values(right)[3]).toBe("76");
+        expect(values(left)[3]).toBe(values(right)[0]);   // both equal P(1)
+        expect(coeffStrings(PolyFromBasis.handler(left, str("bernstein"), seq(-1, 1)))).toEqual(coeffStrings(P()));
+        expect(coeffStrings(PolyFromBasis.handler(right, str("bernstein"), seq(1, 3)))).toEqual(coeffStrings(P()));
+    });
+});
+
+describe("Cyclotomic and Minimal Polynomials", () => {
+    const { Cyclotomic, PolyFromRoots, MinPoly, PolyMul } = PolynomialFunctions;
+    const str = (s) => ({ type: 'string', value: s });
+    const minPoly = (text) => coeffStrings(MinPoly.handler(str(text)));
+
+    test("cyclotomic polynomials", () => {
+        expect(coeffStrings(Cyclotomic.handler(new Integer(1n)))).toEqual(["-1", "1"]);
+        expect(coeffStrings(Cyclotomic.handler(new Integer(12n)))).toEqual(["1", "0", "-1", "0", "1"]);
+        expect(coeffStrings(Cyclotomic.handler(new Integer(15n)))).toEqual(["1", "-1", "0", "1", "-1", "1", "0", "-1", "1"]);
+        // Φ₁₀₅ is the first with a coefficient other than 0, ±1
+        expect(coeffStrings(Cyclotomic.handler(new Integer(105n)))).toContain("-2");
+        // x⁶ - 1 = Φ₁Φ₂Φ₃Φ₆
+        const product = [1n, 2n, 3n, 6n].map(n => Cyclotomic.handler(new Integer(n)))
+            .reduce((acc, p) => PolyMul.handler(acc, p));
+        expect(coeffStrings(product)).toEqual(["-1", "0", "0", "0", "0", "0", "1"]);
+        expect(() => Cyclotomic.handler(new Integer(0n))).toThrow();
+    });
+
+    test("PolyFromRoots builds monic products", () => {
+        expect(coeffStrings(PolyFromRoots.handler(seq(1, 2), seq(2, 1)))).toEqual(["-2", "5", "-4", "1"]);
+        const pairs = { type: 'sequence', values: [seq(1, 2), seq(2, 1)] };
+        expect(coeffStrings(PolyFromRoots.handler(pairs))).toEqual(["-2", "5", "-4", "1"]);
+        expect(coeffStrings(PolyFromRoots.handler(seq(new Rational(1n, 2n), -3)))).toEqual(["-3/2", "5/2", "1"]);
+        expect(PolyFromRoots.handler(seq(0), str("t")).variable).toBe("t");
+        expect(() => PolyFromRoots.handler(seq(1, 2), seq(1))).toThrow();
+    });
+
+    test("MinPoly of sums and products of radicals", () => {
+        expect(minPoly("sqrt(2)+sqrt(3)")).toEqual(["1", "0", "-10", "0", "1"]);
+        expect(minPoly("√2·√3")).toEqual(["-6", "0", "1"]);
+        expect(minPoly("(1 + sqrt(5))/2")).toEqual(["-1", "-1", "1"]);
+        expect(minPoly("root(2, 3) + 1")).toEqual(["-3", "3", "-3", "1"]);
+        expect(minPoly("1/(sqrt(2) + 1)")).toEqual(["-1", "2", "1"]);
+        expect(minPoly("sqrt(2)^2 - 1/2")).toEqual(["-3/2", "1"]);
+    });
+
+    test("MinPoly of cos and sin at rational multiples of π", () => {
+        expect(minPoly("cos(2pi/7)")).toEqual(["-1/8", "-1/2", "1/2", "1"]);
+        expect(minPoly("cos(2π/5)")).toEqual(["-1/4", "1/2", "1"]);
+        expect(minPoly("sin(pi/12)")).toEqual(["1/16", "0", "-1", "0", "1"]);
+        expect(minPoly("cos(pi/3)")).toEqual(["-1/2", "1"]);
+        expect(MinPoly.handler(str("cos(2pi/17)")).degree).toBe(8);
+        // cos(2π/7) + cos(4π/7) + cos(6π/7) = -1/2 picks the rational factor
+        expect(minPoly("cos(2pi/7) + cos(4pi/7) + cos(6pi/7)")).toEqual(["1/2", "1"]);
+        expect(minPoly("cos(4pi/7) - cos(2pi/7)")).toEqual(coeffStrings(MinPoly.handler(str("-(cos(2pi/7) - cos(4pi/7))"))));
+    });
+
+    test("MinPoly certifies the factor with exact root counts", () => {
+        // x² - 16 = (x - 4)(x + 4): the sign of the value picks the factor
+        expect(minPoly("sqrt(2) * sqrt(8)")).toEqual(["-4", "1"]);
+        expect(minPoly("-sqrt(2) * sqrt(8)")).toEqual(["4", "1"]);
+        expect(minPoly("sqrt(2) + sqrt(3) - sqrt(3)")).toEqual(["-2", "0", "1"]);
+        // Real cube root of the negative number 1 - √2
+        expect(minPoly("root(1 - sqrt(2), 3)")).toEqual(["-1", "0", "0", "-2", "0", "0", "1"]);
+        expect(minPoly("(sqrt(3) - sqrt(2))^-2")).toEqual(["1", "-10", "1"]);
+        expect(() => MinPoly.handler(str("sqrt(1 - sqrt(2))"))).toThrow("even root of a negative number");
+    });
+
+    test("MinPoly handles resultants of degree 12 to 16 and large constants", () => {
+        const { PolyFactor } = PolynomialFunctions;
+        const sum = MinPoly.handler(str("sqrt(2) + sqrt(3) + sqrt(5) + sqrt(7)"));
+        expect(sum.degree).toBe(16);
+        expect(coeffStrings(sum).slice(-3)).toEqual(["-136", "0", "1"]);
+        expect(PolyFactor.handler(sum).values.length).toBe(1);
+        expect(MinPoly.handler(str("root(2, 3) + root(3, 4)")).degree).toBe(12);
+        expect(minPoly("sqrt(2*10^400)")).toEqual([`-2${"0".repeat(400)}`, "0", "1"]);
+    });
+
+    test("MinPoly rejects what it cannot represent", () => {
+        expect(() => MinPoly.handler(str("pi"))).toThrow("at position 0");
+        expect(() => MinPoly.handler(str("cos(2)"))).toThrow();
+        expect(() => MinPoly.handler(str("sqrt(-2)"))).toThrow();
+        expect(() => MinPoly.handler(str("1/(sqrt(2) - sqrt(2))"))).toThrow();
+        expect(() => MinPoly.handler(str("x + 1"))).toThrow("unknown name");
+    });
+});
+
+describe("Content and Primitive Part", () => {
+    const {
+        PolyContent, PolyPrimitive, PolyClearDenoms, PolyRatRoots, PolyFactor, PolyRootCount, PolyParse
+    } = PolynomialFunctions;
+    const parse = (text) => PolyParse.handler({ type: 'string', value: text });
+    const half = new Rational(1n, 2n);
+
+    test("content and primitive part multiply back to P", () => {
+        const P = poly(new Rational(3n, 4n), new Rational(-3n, 2n));   // -3x/2 + 3/4
+        expect(PolyContent.handler(P).toString()).toBe("-3/4");
+        expect(coeffStrings(PolyPrimitive.handler(P))).toEqual(["-1", "2"]);
+        expect(PolyContent.handler(poly(6, 4, 2)).toString()).toBe("2");
+        expect(PolyContent.handler(poly(0)).toString()).toBe("0");
+        expect(coeffStrings(PolyPrimitive.handler(poly(0)))).toEqual(["0"]);
+    });
+
+    test("clearing denominators scales by their lcm", () => {
+        const { scale, poly: cleared } = PolyClearDenoms.handler(poly(new Rational(-1n, 8n), 0, half));
+        expect(scale.toString()).toBe("8");
+        expect(coeffStrings(cleared)).toEqual(["-1", "0", "4"]);
+        // Unlike the primitive part, the common factor of the numerators stays
+        expect(coeffStrings(PolyClearDenoms.handler(poly(new Rational(2n, 3n), 2)).poly)).toEqual(["2", "6"]);
+    });
+
+    test("sparse polynomials stay sparse", () => {
+        const P = parse("2/3x^100 - 4/9");
+        expect(PolyContent.handler(P).toString()).toBe("2/9");
+        const primitive = PolyPrimitive.handler(P);
+        expect(primitive.sparse).toBe(true);
+        expect(primitive.terms.get(100).toString()).toBe("3");
+        expect(PolyClearDenoms.handler(P).scale.toString()).toBe("9");
+    });
+
+    test("rational root candidates come from the primitive part", () => {
+        // x²/2 - 1/8 = (4x² - 1)/8: the numerators alone would only offer ±1
+        const roots = (P) => PolyRatRoots.handler(P).values.map(entry => entry.root.toString());
+        expect(roots(poly(new Rational(-1n, 8n), 0, half))).toEqual(["-1/2", "1/2"]);
+        expect(roots(poly(new Rational(-3n, 2n), new Rational(1n, 3n)))).toEqual(["9/2"]);
+        expect(PolyRootCount.handler(poly(new Rational(-1n, 8n), 0, half)).toString()).toBe("2");
+        expect(PolyFactor.handler(poly(new Rational(-1n, 8n), 0, half)).content.toString()).toBe("1/8");
+    });
+});
+
+describe("Rational Roots with Multiplicities", () => {
+    const { PolyRatRoots, PolyFromRoots, PolyMul } = PolynomialFunctions;
+    const roots = (P) => PolyRatRoots.handler(P).values
+        .map(entry => `${entry.root}×${entry.multiplicity}`);
+
+    test("factors out powers of x first", () => {
+        expect(roots(poly(0, 0, -1, 1))).toEqual(["0×2", "1×1"]);   // x³ - x²
+        expect(roots(poly(0, 0, 0, 5))).toEqual(["0×3"]);
+        expect(coeffStrings(PolyRatRoots.handler(poly(0, 0, 0, 5)).cofactor)).toEqual(["5"]);
+    });
+
+    test("deflates repeated roots and keeps the cofactor", () => {
+        // (x - 1)²(2x + 1)(x² + 2) / 3
+        const P = PolyMul.handler(
+            PolyFromRoots.handler(seq(1, new Rational(-1n, 2n)), seq(2, 1)),
+            poly(new Rational(4n, 3n), 0, new Rational(2n, 3n)));
+        const result = PolyRatRoots.handler(P);
+        expect(roots(P)).toEqual(["-1/2×1", "1×2"]);
+        expect(coeffStrings(result.cofactor)).toEqual(["4/3", "0", "2/3"]);
+        expect(result.values[1].exact).toBe(1);
+    });
+
+    test("polynomials without rational roots", () => {
+        const result = PolyRatRoots.handler(poly(1, 0, 1));
+        expect(result.values).toEqual([]);
+        expect(coeffStrings(result.cofactor)).toEqual(["1", "0", "1"]);
+        expect(roots(poly(7))).toEqual([]);
+        expect(() => PolyRatRoots.handler(poly(0))).toThrow();
+    });
+});